@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('./errors');
+
+// API keys and their usage live in one JSON file. Only a hash of each key is stored.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+
+// Limits for keys created without their own, overridable through the environment
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60; // requests per window
+const DEFAULT_RATE_WINDOW = parseInt(process.env.API_KEY_RATE_WINDOW) || 60; // seconds
+const DEFAULT_QUOTA = parseInt(process.env.API_KEY_QUOTA) || 1000; // requests per quota period
+const QUOTA_PERIODS = ['day', 'month'];
+const DEFAULT_QUOTA_PERIOD = QUOTA_PERIODS.includes(process.env.API_KEY_QUOTA_PERIOD) ? process.env.API_KEY_QUOTA_PERIOD : 'day';
+
+// Usage changes on every request, so it is written at most this often
+const USAGE_SAVE_DELAY = 5000;
+
+const keys = new Map();
+// Requests in the current rate-limit window of each key; windows are not persisted
+const rateWindows = new Map();
+let saveTimer = null;
+
+// Load stored keys
+function loadApiKeys() {
+    let entries = [];
+    try {
+        entries = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to read API keys:', error.message);
+        }
+    }
+
+    for (const entry of entries) {
+        keys.set(entry.id, entry);
+    }
+}
+
+// Persist keys and usage
+async function saveApiKeys() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await fs.promises.mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+    await fs.promises.writeFile(API_KEYS_FILE, JSON.stringify([...keys.values()], null, 2));
+}
+
+// Helper function to save usage soon without writing the file on every request
+function scheduleUsageSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveApiKeys().catch(error => console.error('Failed to save API key usage:', error.message));
+    }, USAGE_SAVE_DELAY);
+    saveTimer.unref();
+}
+
+// Helper function to hash a key for storage and lookup
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Helper function to get the quota period a moment falls in and when it ends (UTC)
+function quotaPeriod(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    if (period === 'month') {
+        return { start: `${year}-${String(month + 1).padStart(2, '0')}`, resetsAt: new Date(Date.UTC(year, month + 1, 1)) };
+    }
+    return { start: now.toISOString().slice(0, 10), resetsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1)) };
+}
+
+// Helper function to read a positive whole number option
+function parseLimit(value, fallback, label) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createHttpError(400, `${label} must be a positive whole number`);
+    }
+    return number;
+}
+
+// Describe a key without its hash, with its usage in the current quota period
+function describeApiKey(entry) {
+    const { keyHash, usage, ...fields } = entry;
+    const period = quotaPeriod(entry.quota.period);
+    const used = usage.period === period.start ? usage.count : 0;
+    return {
+        ...fields,
+        usage: {
+            total: usage.total,
+            period: period.start,
+            used,
+            remaining: Math.max(0, entry.quota.limit - used),
+            resetsAt: period.resetsAt.toISOString(),
+            lastUsedAt: usage.lastUsedAt
+        }
+    };
+}
+
+// Create a key. The key itself is only returned here; afterwards it can't be recovered.
+async function createApiKey(fields = {}) {
+    const name = typeof fields.name === 'string' && fields.name.trim() ? fields.name.trim() : null;
+    const quotaPeriodName = fields.quotaPeriod === undefined || fields.quotaPeriod === '' ? DEFAULT_QUOTA_PERIOD : fields.quotaPeriod;
+    if (!QUOTA_PERIODS.includes(quotaPeriodName)) {
+        throw createHttpError(400, `quotaPeriod must be one of: ${QUOTA_PERIODS.join(', ')}`);
+    }
+
+    const key = `oak_${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, 8),
+        keyHash: hashKey(key),
+        rateLimit: {
+            limit: parseLimit(fields.rateLimit, DEFAULT_RATE_LIMIT, 'rateLimit'),
+            windowSeconds: parseLimit(fields.rateWindow, DEFAULT_RATE_WINDOW, 'rateWindow')
+        },
+        quota: {
+            limit: parseLimit(fields.quota, DEFAULT_QUOTA, 'quota'),
+            period: quotaPeriodName
+        },
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        usage: { period: null, count: 0, total: 0, lastUsedAt: null }
+    };
+
+    keys.set(entry.id, entry);
+    await saveApiKeys();
+
+    return { key, apiKey: describeApiKey(entry) };
+}
+
+// Revoke a key. Revoked keys are kept so their usage can still be looked up.
+async function revokeApiKey(id) {
+    const entry = keys.get(id);
+    if (!entry) {
+        throw createHttpError(404, `API key ${id} not found`);
+    }
+    if (!entry.revokedAt) {
+        entry.revokedAt = new Date().toISOString();
+        await saveApiKeys();
+    }
+    return describeApiKey(entry);
+}
+
+// List keys with their usage, newest first
+function listApiKeys() {
+    return [...keys.values()]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(describeApiKey);
+}
+
+// Get one key with its usage
+function getApiKey(id) {
+    const entry = keys.get(id);
+    if (!entry) {
+        throw createHttpError(404, `API key ${id} not found`);
+    }
+    return describeApiKey(entry);
+}
+
+// Whether any key has been created
+function hasApiKeys() {
+    return keys.size > 0;
+}
+
+// Check a key and count a request against its rate limit and, when `billable`, its
+// quota. Returns the limits to report in headers; throws 401 for unknown or revoked
+// keys and 429 with retryAfter (seconds) once a limit is reached.
+function consumeApiKey(key, billable = true) {
+    if (typeof key !== 'string' || !key) {
+        throw createHttpError(401, 'An API key is required. Send it in the X-API-Key header or the apiKey query parameter');
+    }
+    const keyHash = hashKey(key);
+    const entry = [...keys.values()].find(candidate => candidate.keyHash === keyHash);
+    if (!entry || entry.revokedAt) {
+        throw createHttpError(401, entry ? 'This API key has been revoked' : 'Invalid API key');
+    }
+
+    const now = Date.now();
+    const { limit, windowSeconds } = entry.rateLimit;
+    let window = rateWindows.get(entry.id);
+    if (!window || now >= window.resetsAt) {
+        window = { count: 0, resetsAt: now + windowSeconds * 1000 };
+        rateWindows.set(entry.id, window);
+    }
+
+    const period = quotaPeriod(entry.quota.period, new Date(now));
+    if (entry.usage.period !== period.start) {
+        entry.usage.period = period.start;
+        entry.usage.count = 0;
+    }
+
+    const limits = {
+        rateLimit: { limit, remaining: Math.max(0, limit - window.count - 1), windowSeconds, reset: Math.ceil((window.resetsAt - now) / 1000) },
+        quota: {
+            limit: entry.quota.limit,
+            remaining: Math.max(0, entry.quota.limit - entry.usage.count - (billable ? 1 : 0)),
+            period: entry.quota.period,
+            reset: Math.ceil((period.resetsAt.getTime() - now) / 1000)
+        }
+    };
+
+    if (window.count >= limit) {
+        limits.rateLimit.remaining = 0;
+        throw createHttpError(429, `Rate limit of ${limit} requests per ${windowSeconds} seconds exceeded`,
+            { retryAfter: limits.rateLimit.reset, limits });
+    }
+    if (billable && entry.usage.count >= entry.quota.limit) {
+        limits.quota.remaining = 0;
+        throw createHttpError(429, `${entry.quota.period === 'day' ? 'Daily' : 'Monthly'} quota of ${entry.quota.limit} requests used up`,
+            { retryAfter: limits.quota.reset, limits });
+    }
+
+    window.count++;
+    if (billable) {
+        entry.usage.count++;
+    }
+    entry.usage.total++;
+    entry.usage.lastUsedAt = new Date(now).toISOString();
+    scheduleUsageSave();
+
+    return { id: entry.id, limits };
+}
+
+loadApiKeys();
+
+module.exports = {
+    QUOTA_PERIODS,
+    createApiKey,
+    revokeApiKey,
+    listApiKeys,
+    getApiKey,
+    hasApiKeys,
+    consumeApiKey
+};
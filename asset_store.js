@@ -0,0 +1,113 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('./errors');
+
+// Uploaded logos and watermarks and their index live here
+const ASSETS_DIR = process.env.ASSETS_DIR || path.join(__dirname, 'data', 'assets');
+const INDEX_FILE = path.join(ASSETS_DIR, 'assets.json');
+
+const assets = new Map();
+
+// Load previously uploaded assets from the index file
+function loadAssetIndex() {
+    let entries = [];
+    try {
+        entries = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to read asset index:', error.message);
+        }
+    }
+
+    for (const entry of entries) {
+        if (fs.existsSync(path.join(ASSETS_DIR, entry.fileName))) {
+            assets.set(entry.id, entry);
+        }
+    }
+}
+
+// Persist the asset index
+async function saveAssetIndex() {
+    await fs.promises.mkdir(ASSETS_DIR, { recursive: true });
+    await fs.promises.writeFile(INDEX_FILE, JSON.stringify([...assets.values()], null, 2));
+}
+
+// Register an uploaded image so overlays can reference it by id
+async function addAsset(buffer, originalName, fields = {}) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw createHttpError(400, `Invalid image file: ${error.message}`);
+    }
+
+    const id = crypto.randomUUID();
+    const entry = {
+        id,
+        name: fields.name || path.parse(originalName || '').name || id,
+        format: metadata.format,
+        width: metadata.width,
+        height: metadata.height,
+        hasAlpha: Boolean(metadata.hasAlpha),
+        fileName: `${id}.${metadata.format}`,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(ASSETS_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(ASSETS_DIR, entry.fileName), buffer);
+
+    assets.set(id, entry);
+    await saveAssetIndex();
+
+    return entry;
+}
+
+// Remove an uploaded asset
+async function deleteAsset(id) {
+    const entry = assets.get(id);
+    if (!entry) {
+        throw createHttpError(404, `Asset ${id} not found`);
+    }
+
+    assets.delete(id);
+    await saveAssetIndex();
+    await fs.promises.rm(path.join(ASSETS_DIR, entry.fileName), { force: true });
+
+    return entry;
+}
+
+// List uploaded assets, newest first
+function listAssets() {
+    return [...assets.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Get an asset's description
+function getAsset(id) {
+    const entry = assets.get(id);
+    if (!entry) {
+        throw createHttpError(404, `Asset ${id} not found`);
+    }
+    return entry;
+}
+
+// Read an asset's image data
+async function readAsset(id) {
+    const entry = assets.get(id);
+    if (!entry) {
+        throw createHttpError(400, `Unknown asset ${id}. Upload it with POST /api/assets or pick one from GET /api/assets`);
+    }
+    return fs.promises.readFile(path.join(ASSETS_DIR, entry.fileName));
+}
+
+loadAssetIndex();
+
+module.exports = {
+    addAsset,
+    deleteAsset,
+    listAssets,
+    getAsset,
+    readAsset
+};
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { renderImage, renderTemplate, fillTemplate, OVERLAY_PARAMS } = require('../server');
+
+const DEFAULT_PATTERN = '*.{jpg,jpeg,png,webp,gif,tif,tiff,avif,heic,heif}';
+
+const USAGE = `Usage: image-overlay <input> [options]
+
+Render text overlays onto a file, every matching file in a directory, or a canvas,
+without running the server.
+
+  <input>                  Image file, directory or glob such as "photos/**/*.jpg".
+                           Leave it out to render a canvas (--canvas, --width, --height)
+  -o, --out <dir>          Output folder (default: ./output)
+  -p, --pattern <glob>     Files to render from a directory (default: ${DEFAULT_PATTERN})
+                           * and ? stay within a folder, ** crosses folders
+  -c, --config <file>      JSON file with /api/overlay parameters, or a template as
+                           GET /api/templates/:id returns it
+  -t, --template <id>      Render a template saved on this machine
+      --var <name=value>   Value for a {{name}} placeholder, may be repeated
+      --<parameter> <v>    Any /api/overlay parameter, e.g. --text "Hello" --fontSize 48.
+                           JSON values such as --layers are passed as JSON strings.
+                           Flags override the config file
+  -h, --help               Show this help
+
+Exits with 1 when any image failed and 2 for usage errors.`;
+
+const SHORT_FLAGS = { o: 'out', p: 'pattern', c: 'config', t: 'template', h: 'help' };
+const CLI_FLAGS = ['out', 'pattern', 'config', 'template', 'var', 'help'];
+
+// Helper function to report a usage mistake and exit
+function usageError(message) {
+    console.error(`image-overlay: ${message}\nRun image-overlay --help for usage.`);
+    process.exit(2);
+}
+
+// Helper function to split argv into the input, tool flags and overlay parameters.
+// A flag without a value (or followed by another flag) is true.
+function parseArguments(argv) {
+    const inputs = [];
+    const flags = { var: [] };
+    const params = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        const match = /^--?([a-zA-Z][\w-]*)(?:=(.*))?$/s.exec(argument);
+        if (!match) {
+            inputs.push(argument);
+            continue;
+        }
+
+        const name = argument.startsWith('--') ? match[1] : SHORT_FLAGS[match[1]];
+        if (!name) {
+            usageError(`unknown option ${argument}`);
+        }
+        let value = match[2];
+        if (value === undefined) {
+            const next = argv[index + 1];
+            value = next === undefined || /^--?[a-zA-Z]/.test(next) ? 'true' : argv[++index];
+        }
+
+        if (name === 'var') {
+            flags.var.push(value);
+        } else if (CLI_FLAGS.includes(name)) {
+            flags[name] = value;
+        } else if (OVERLAY_PARAMS[name] && name !== 'image') {
+            params[name] = value;
+        } else {
+            usageError(`unknown option ${argument}`);
+        }
+    }
+
+    if (inputs.length > 1) {
+        usageError(`expected one input, got ${inputs.length}. Quote glob patterns so the shell does not expand them`);
+    }
+    return { input: inputs[0], flags, params };
+}
+
+// Helper function to turn name=value pairs into template variables
+function parseVariables(pairs) {
+    const variables = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        if (separator < 1) {
+            usageError(`--var expects name=value, got ${pair}`);
+        }
+        variables[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    return variables;
+}
+
+// Helper function to read parameters from a JSON file. Saved templates are accepted as
+// returned by the API, so their definition is used.
+function readConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        usageError(`can't read config ${file}: ${error.message}`);
+    }
+    if (config && config.template && config.template.definition) {
+        return config.template.definition;
+    }
+    if (config && config.definition) {
+        return config.definition;
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        usageError(`config ${file} must be a JSON object`);
+    }
+    return config;
+}
+
+// Helper function to turn a glob into a regular expression for "/"-separated relative
+// paths: ** matches across folders, * and ? within one, {a,b} either alternative
+function globToRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '*' && pattern[index + 1] === '*') {
+            const slash = pattern[index + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            index += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Helper function to list the files under a directory whose relative paths match a glob,
+// leaving out the output folder
+async function findFiles(directory, pattern, outDir) {
+    const matcher = globToRegExp(pattern);
+    const recursive = pattern.includes('/') || pattern.includes('**');
+    const found = [];
+
+    const walk = async relative => {
+        const entries = await fs.promises.readdir(path.join(directory, relative), { withFileTypes: true });
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+            const fullPath = path.join(directory, entryPath);
+            if (entry.isDirectory()) {
+                if (recursive && path.resolve(fullPath) !== outDir) {
+                    await walk(entryPath);
+                }
+            } else if (entry.isFile() && matcher.test(entryPath)) {
+                found.push(entryPath);
+            }
+        }
+    };
+
+    await walk('');
+    return found;
+}
+
+// Helper function to resolve the input argument into a base directory and the files to
+// render, relative to it. A glob input is split at its first folder with a wildcard.
+async function resolveInputs(input, pattern, outDir) {
+    const stat = await fs.promises.stat(input).catch(() => null);
+    if (stat && stat.isFile()) {
+        return { baseDir: path.dirname(input), files: [path.basename(input)] };
+    }
+    if (stat && stat.isDirectory()) {
+        return { baseDir: input, files: await findFiles(input, pattern || DEFAULT_PATTERN, outDir) };
+    }
+    if (/[*?{]/.test(input)) {
+        const segments = input.split(/[\\/]/);
+        const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+        const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+        return { baseDir, files: await findFiles(baseDir, segments.slice(firstGlob).join('/'), outDir) };
+    }
+    usageError(`${input} does not exist`);
+}
+
+// Helper function to describe a render failure the way the API would report it
+function describeFailure(error) {
+    if (!error.statusCode) {
+        return error.message;
+    }
+    if (Array.isArray(error.details)) {
+        return `${error.message}: ${error.details.map(detail =>
+            typeof detail === 'string' ? detail : `${detail.field} ${detail.message}`).join('; ')}`;
+    }
+    return error.message;
+}
+
+async function main() {
+    const { input, flags, params: flagParams } = parseArguments(process.argv.slice(2));
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const outDir = path.resolve(flags.out || 'output');
+    const variables = parseVariables(flags.var);
+    let params = { ...(flags.config ? readConfig(flags.config) : {}), ...flagParams };
+    if (!flags.template) {
+        try {
+            params = fillTemplate(params, variables);
+        } catch (error) {
+            usageError(error.message);
+        }
+    }
+
+    let baseDir = null;
+    let files = [null];
+    if (input) {
+        ({ baseDir, files } = await resolveInputs(input, flags.pattern, outDir));
+        if (!files.length) {
+            usageError(`no files in ${baseDir} match ${flags.pattern || DEFAULT_PATTERN}`);
+        }
+    } else if (!params.canvas && !params.imageUrl && !params.imageBase64 && !flags.template) {
+        usageError('give an input file, directory or glob, --imageUrl, or --canvas to render without an image');
+    }
+
+    await fs.promises.mkdir(outDir, { recursive: true });
+    const usedNames = new Set();
+    const startedAt = Date.now();
+    let failed = 0;
+
+    for (const [index, file] of files.entries()) {
+        const label = file || (flags.template ? 'template' : 'canvas');
+        const progress = `[${index + 1}/${files.length}]`;
+        const itemStartedAt = Date.now();
+        try {
+            const image = file ? path.join(baseDir, file) : null;
+            const result = flags.template
+                ? await renderTemplate(flags.template, image, { ...params, variables })
+                : await renderImage(image, params);
+
+            // Keep the folder structure, with the extension of the output format
+            const baseName = file ? file.replace(/\.[^./]*$/, '') : 'overlay';
+            let name = `${baseName}.${result.extension}`;
+            for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+                name = `${baseName}-${suffix}.${result.extension}`;
+            }
+            usedNames.add(name.toLowerCase());
+            const outputPath = path.join(outDir, name);
+
+            await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.promises.writeFile(outputPath, result.buffer);
+
+            const notes = result.textOverflow.length ? ' (text did not fit)' : '';
+            console.log(`${progress} ${label} → ${path.relative(process.cwd(), outputPath)} in ${Date.now() - itemStartedAt} ms${notes}`);
+        } catch (error) {
+            failed++;
+            console.error(`${progress} ${label} failed: ${describeFailure(error)}`);
+        }
+    }
+
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`Rendered ${files.length - failed} of ${files.length} image${files.length === 1 ? '' : 's'} to ${path.relative(process.cwd(), outDir) || '.'} in ${seconds}s${failed ? `, ${failed} failed` : ''}`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(`image-overlay: ${error.message}`);
+    process.exit(1);
+});
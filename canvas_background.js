@@ -0,0 +1,112 @@
+const sharp = require('sharp');
+const { createHttpError } = require('./errors');
+
+// Colors accepted in canvas backgrounds: hex, names and rgb()/hsl() functions
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\([\d\s.,%deg]+\))$/;
+
+const BACKGROUND_TYPES = ['solid', 'linear', 'radial', 'pattern'];
+const PATTERNS = ['dots', 'stripes', 'grid', 'checkerboard'];
+
+// Helper function to validate a color value
+function checkColor(value, label) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+        throw createHttpError(400, `${label} must be a color such as #1e293b, navy or rgb(30,41,59)`);
+    }
+    return value.trim();
+}
+
+// Helper function to build evenly spaced gradient stops
+function gradientStops(colors, label) {
+    if (!Array.isArray(colors) || colors.length < 2) {
+        throw createHttpError(400, `${label} must be an array of at least two colors`);
+    }
+    return colors
+        .map((color, index) => `<stop offset="${index / (colors.length - 1)}" stop-color="${checkColor(color, `${label}[${index}]`)}"/>`)
+        .join('');
+}
+
+// Helper function to build the repeating tile of a pattern background
+function patternTile(pattern, size, color) {
+    const half = size / 2;
+    switch (pattern) {
+        case 'dots':
+            return `<circle cx="${half}" cy="${half}" r="${size * 0.15}" fill="${color}"/>`;
+        case 'stripes':
+            return `<rect width="${half}" height="${size}" fill="${color}"/>`;
+        case 'grid':
+            return `<path d="M ${size} 0 L 0 0 0 ${size}" fill="none" stroke="${color}" stroke-width="${Math.max(1, size / 20)}"/>`;
+        default: // checkerboard
+            return `<rect width="${half}" height="${half}" fill="${color}"/><rect x="${half}" y="${half}" width="${half}" height="${half}" fill="${color}"/>`;
+    }
+}
+
+// Build the SVG for a canvas background. A string is a solid color; objects have a type of
+// solid, linear (colors, angle in degrees like CSS, default 180 = top to bottom), radial
+// (colors, centerX/centerY in percent, radius in percent of the farthest corner) or
+// pattern (pattern, color, backgroundColor, size in pixels).
+function createBackgroundSVG(background, width, height) {
+    const spec = typeof background === 'string' ? { type: 'solid', color: background } : background;
+    const { type = 'solid' } = spec;
+
+    if (!BACKGROUND_TYPES.includes(type)) {
+        throw createHttpError(400, `canvas.background.type must be one of: ${BACKGROUND_TYPES.join(', ')}`);
+    }
+
+    let defs = '';
+    let fill;
+
+    switch (type) {
+        case 'solid':
+            fill = checkColor(spec.color || '#000000', 'canvas.background.color');
+            break;
+        case 'linear': {
+            // Same geometry as CSS linear-gradient(): the line runs through the center at
+            // the given angle and is long enough for the corners to get the end colors
+            const angle = (parseFloat(spec.angle !== undefined ? spec.angle : 180) || 0) * Math.PI / 180;
+            const dx = Math.sin(angle);
+            const dy = -Math.cos(angle);
+            const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+            defs = `<linearGradient id="background" gradientUnits="userSpaceOnUse" ` +
+                `x1="${width / 2 - dx * half}" y1="${height / 2 - dy * half}" x2="${width / 2 + dx * half}" y2="${height / 2 + dy * half}">` +
+                `${gradientStops(spec.colors, 'canvas.background.colors')}</linearGradient>`;
+            fill = 'url(#background)';
+            break;
+        }
+        case 'radial': {
+            const cx = width * (parseFloat(spec.centerX !== undefined ? spec.centerX : 50) / 100);
+            const cy = height * (parseFloat(spec.centerY !== undefined ? spec.centerY : 50) / 100);
+            const farthest = Math.max(Math.hypot(cx, cy), Math.hypot(width - cx, cy), Math.hypot(cx, height - cy), Math.hypot(width - cx, height - cy));
+            const r = farthest * (parseFloat(spec.radius !== undefined ? spec.radius : 100) / 100);
+            defs = `<radialGradient id="background" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}">` +
+                `${gradientStops(spec.colors, 'canvas.background.colors')}</radialGradient>`;
+            fill = 'url(#background)';
+            break;
+        }
+        default: {
+            const { pattern = 'dots' } = spec;
+            if (!PATTERNS.includes(pattern)) {
+                throw createHttpError(400, `canvas.background.pattern must be one of: ${PATTERNS.join(', ')}`);
+            }
+            const size = Math.max(4, parseInt(spec.size) || 40);
+            const color = checkColor(spec.color || '#ffffff', 'canvas.background.color');
+            const backgroundColor = checkColor(spec.backgroundColor || '#000000', 'canvas.background.backgroundColor');
+            defs = `<pattern id="background" patternUnits="userSpaceOnUse" width="${size}" height="${size}"` +
+                `${pattern === 'stripes' ? ' patternTransform="rotate(45)"' : ''}>` +
+                `<rect width="${size}" height="${size}" fill="${backgroundColor}"/>${patternTile(pattern, size, color)}</pattern>`;
+            fill = 'url(#background)';
+        }
+    }
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>${defs}</defs>
+        <rect width="${width}" height="${height}" fill="${fill}"/>
+    </svg>`;
+}
+
+// Render a canvas background to a PNG the overlay pipeline can use as its base image
+async function createCanvasImage(background, width, height) {
+    const svg = createBackgroundSVG(background, width, height);
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = { createCanvasImage };
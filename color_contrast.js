@@ -0,0 +1,123 @@
+// WCAG 2 minimum contrast for normal text (AA)
+const DEFAULT_MIN_CONTRAST = 4.5;
+
+const WHITE = { r: 255, g: 255, b: 255, hex: '#ffffff' };
+const BLACK = { r: 0, g: 0, b: 0, hex: '#000000' };
+
+// Relative luminance of an sRGB color, as defined by WCAG 2
+function relativeLuminance({ r, g, b }) {
+    const linear = value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// WCAG contrast ratio between two colors, from 1 to 21
+function contrastRatio(first, second) {
+    const a = relativeLuminance(first);
+    const b = relativeLuminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// Helper function to blend a translucent color over another
+function blend(base, overlay, alpha) {
+    return {
+        r: base.r * (1 - alpha) + overlay.r * alpha,
+        g: base.g * (1 - alpha) + overlay.g * alpha,
+        b: base.b * (1 - alpha) + overlay.b * alpha
+    };
+}
+
+// Sample the region of an image (a Sharp instance) under a box. Returns the mean color plus
+// the brightest and darkest colors one standard deviation away, so busy regions count as
+// harder to read on.
+async function sampleRegion(image, box, metadata) {
+    const left = Math.max(0, Math.floor(box.x));
+    const top = Math.max(0, Math.floor(box.y));
+    const width = Math.min(metadata.width - left, Math.ceil(box.x + box.width) - left);
+    const height = Math.min(metadata.height - top, Math.ceil(box.y + box.height) - top);
+
+    if (width > 0 && height > 0) {
+        image = image.extract({ left, top, width, height });
+    }
+
+    const { channels } = await image.stats();
+    // Grayscale images only have one color channel
+    const [red, green, blue] = channels.length >= 3 ? channels : [channels[0], channels[0], channels[0]];
+    const shift = direction => ({
+        r: Math.min(255, Math.max(0, red.mean + direction * red.stdev)),
+        g: Math.min(255, Math.max(0, green.mean + direction * green.stdev)),
+        b: Math.min(255, Math.max(0, blue.mean + direction * blue.stdev))
+    });
+
+    return {
+        mean: { r: red.mean, g: green.mean, b: blue.mean },
+        brightest: shift(1),
+        darkest: shift(-1)
+    };
+}
+
+// Pick white or black text for a sampled region. When neither reaches minContrast on its
+// own, fall back to an outline stroke or to the smallest scrim opacity that does.
+function chooseTextColor(sample, options = {}) {
+    const { minContrast = DEFAULT_MIN_CONTRAST, fallback = 'scrim' } = options;
+
+    // White text is hardest to read on the brightest parts, black text on the darkest
+    const whiteContrast = contrastRatio(WHITE, sample.brightest);
+    const blackContrast = contrastRatio(BLACK, sample.darkest);
+    const [text, backdrop, contrast] = whiteContrast >= blackContrast
+        ? [WHITE, sample.brightest, whiteContrast]
+        : [BLACK, sample.darkest, blackContrast];
+    const opposite = text === WHITE ? BLACK : WHITE;
+
+    const choice = {
+        color: text.hex,
+        strategy: 'color',
+        contrast: Math.round(contrast * 100) / 100,
+        minContrast,
+        sampledColor: rgbToHex(sample.mean)
+    };
+    if (contrast >= minContrast) {
+        return choice;
+    }
+
+    if (fallback === 'stroke') {
+        // The glyph edges are read against the stroke rather than the photo
+        return {
+            ...choice,
+            strategy: 'stroke',
+            strokeColor: opposite.hex,
+            contrast: Math.round(contrastRatio(text, opposite) * 100) / 100,
+            backgroundContrast: choice.contrast
+        };
+    }
+
+    let opacity = 0;
+    let achieved = contrast;
+    while (achieved < minContrast && opacity < 1) {
+        opacity = Math.min(1, Math.round((opacity + 0.05) * 100) / 100);
+        achieved = contrastRatio(text, blend(backdrop, opposite, opacity));
+    }
+
+    return {
+        ...choice,
+        strategy: 'scrim',
+        scrimColor: opposite.hex,
+        scrimOpacity: opacity,
+        contrast: Math.round(achieved * 100) / 100,
+        backgroundContrast: choice.contrast
+    };
+}
+
+// Helper function to format a color as hex
+function rgbToHex({ r, g, b }) {
+    return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    DEFAULT_MIN_CONTRAST,
+    contrastRatio,
+    sampleRegion,
+    chooseTextColor
+};
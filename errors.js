@@ -0,0 +1,11 @@
+// Helper function to build an error that route handlers report with its status code
+function createHttpError(statusCode, message, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+}
+
+module.exports = { createHttpError };
@@ -0,0 +1,439 @@
+const fontkit = require('fontkit');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Directories scanned for font files when fontconfig's fc-match is unavailable.
+// Extra directories can be added with FONT_DIRS (separated like PATH).
+const DEFAULT_FONT_DIRS = [
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    path.join(os.homedir(), '.fonts'),
+    path.join(os.homedir(), '.local/share/fonts'),
+    '/Library/Fonts',
+    '/System/Library/Fonts',
+    path.join(os.homedir(), 'Library/Fonts'),
+    'C:\\Windows\\Fonts'
+];
+
+const FONT_FILE_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.woff', '.woff2'];
+
+// CSS font-weight values mapped to fontconfig weight names
+const FONTCONFIG_WEIGHTS = {
+    100: 'thin',
+    200: 'extralight',
+    300: 'light',
+    400: 'regular',
+    500: 'medium',
+    600: 'demibold',
+    700: 'bold',
+    800: 'extrabold',
+    900: 'black'
+};
+
+const MAX_CACHED_MEASUREMENTS = 5000;
+const MAX_CACHED_FAMILIES = 1000;
+
+let fontIndex = null;
+let fcMatchAvailable = true;
+const openFonts = new Map();
+const resolvedFonts = new Map();
+const measurementCaches = new WeakMap();
+// Whether fontconfig resolves a family to itself, misses included, so each family runs
+// fc-match at most once
+const fontconfigFamilies = new Map();
+
+// Faces added through the font registry, keyed by font id
+const registeredFaces = new Map();
+
+// Helper function to normalize a CSS font-weight (normal|bold|100-900) to a number
+function normalizeFontWeight(fontWeight) {
+    if (fontWeight === 'bold' || fontWeight === 'bolder') return 700;
+    if (fontWeight === 'lighter') return 300;
+
+    const numericWeight = parseInt(fontWeight);
+    if (!isNaN(numericWeight)) {
+        return Math.min(900, Math.max(100, Math.round(numericWeight / 100) * 100));
+    }
+    return 400;
+}
+
+// Helper function to open a font file once and reuse it
+function openFont(filePath, postscriptName) {
+    const key = `${filePath}#${postscriptName || ''}`;
+    if (!openFonts.has(key)) {
+        let font = fontkit.openSync(filePath);
+        // Pick the requested face of a collection, falling back to its first font
+        if (font && font.fonts) {
+            font = font.fonts.find(face => face.postscriptName === postscriptName) || font.fonts[0];
+        }
+        openFonts.set(key, font);
+    }
+    return openFonts.get(key);
+}
+
+// Helper function to list font files below a directory
+function listFontFiles(directory, files = []) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+        return files; // Missing or unreadable directory
+    }
+
+    for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            listFontFiles(fullPath, files);
+        } else if (FONT_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Helper function to describe one font face for the family index
+function describeFace(font, filePath) {
+    const os2 = font['OS/2'];
+    return {
+        filePath,
+        postscriptName: font.postscriptName,
+        family: (font.getName && font.getName('preferredFamily')) || font.familyName,
+        families: [font.familyName, font.getName && font.getName('preferredFamily')]
+            .filter(Boolean)
+            .map(name => name.toLowerCase()),
+        weight: os2 ? os2.usWeightClass : 400,
+        italic: os2 ? Boolean(os2.fsSelection.italic) : false
+    };
+}
+
+// Helper function to list the directories scanned for font files
+function fontDirectories() {
+    return [
+        ...(process.env.FONT_DIRS ? process.env.FONT_DIRS.split(path.delimiter) : []),
+        ...DEFAULT_FONT_DIRS
+    ];
+}
+
+// Helper function to add the faces of one font file to a family index
+function indexFontFile(index, font, filePath) {
+    const faces = font.fonts ? font.fonts.map(face => describeFace(face, filePath)) : [describeFace(font, filePath)];
+    for (const face of faces) {
+        for (const family of face.families) {
+            if (!index.has(family)) index.set(family, []);
+            index.get(family).push(face);
+        }
+    }
+}
+
+// Build the family -> faces index by scanning the font directories
+function buildFontIndex() {
+    const index = new Map();
+    for (const directory of fontDirectories()) {
+        for (const filePath of listFontFiles(directory)) {
+            try {
+                indexFontFile(index, fontkit.openSync(filePath), filePath);
+            } catch (error) {
+                continue; // Skip files fontkit can't parse
+            }
+        }
+    }
+    return index;
+}
+
+// Helper function to get the family index, scanning synchronously when loadSystemFonts
+// hasn't run (scripts and the command-line tool)
+function getFontIndex() {
+    if (!fontIndex) fontIndex = buildFontIndex();
+    return fontIndex;
+}
+
+// Build the family index ahead of the first request, reading one font file at a time
+// so the event loop isn't held up while the fonts are parsed
+async function loadSystemFonts() {
+    const index = new Map();
+    for (const directory of fontDirectories()) {
+        for (const filePath of listFontFiles(directory)) {
+            try {
+                indexFontFile(index, fontkit.create(await fs.promises.readFile(filePath)), filePath);
+            } catch (error) {
+                continue; // Skip files fontkit can't parse
+            }
+        }
+    }
+    fontIndex = index;
+    return index;
+}
+
+// Pick the face closest to the requested weight, preferring upright faces
+function pickClosestFace(faces, weight, italic = false) {
+    const styleMatches = faces.filter(face => face.italic === italic);
+    const candidates = styleMatches.length ? styleMatches : faces;
+
+    return candidates.reduce((best, face) => {
+        const distance = Math.abs(face.weight - weight);
+        const bestDistance = Math.abs(best.weight - weight);
+        // On ties, go heavier for bold requests and lighter otherwise (CSS matching rules)
+        if (distance < bestDistance ||
+            (distance === bestDistance && (weight > 400 ? face.weight > best.weight : face.weight < best.weight))) {
+            return face;
+        }
+        return best;
+    });
+}
+
+// Ask fontconfig which file the renderer will use for a family and weight
+function matchWithFontconfig(fontFamily, weight, italic) {
+    if (!fcMatchAvailable) return null;
+
+    const pattern = `${fontFamily}:weight=${FONTCONFIG_WEIGHTS[weight]}${italic ? ':slant=italic' : ''}`;
+    try {
+        const filePath = execFileSync('fc-match', ['--format=%{file}', pattern], {
+            encoding: 'utf8',
+            timeout: 2000,
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        return filePath ? { filePath, postscriptName: null } : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            fcMatchAvailable = false;
+        }
+        return null;
+    }
+}
+
+// Helper function to split a CSS font-family list into bare family names
+function parseFontFamilyList(fontFamily) {
+    return String(fontFamily)
+        .split(',')
+        .map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+        .filter(Boolean);
+}
+
+// Helper function to find the closest registered face of a family
+function findRegisteredFace(family, weight, italic) {
+    const faces = [...registeredFaces.values()].filter(face => face.families.includes(family.toLowerCase()));
+    return faces.length ? pickClosestFace(faces, weight, italic) : null;
+}
+
+// Find the font file the renderer uses for a family and weight, or null when none is installed
+function resolveFontFile(fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal') {
+    // Only the first family of a CSS font-family list is looked up
+    const family = parseFontFamilyList(fontFamily)[0] || 'Arial';
+    const weight = normalizeFontWeight(fontWeight);
+    const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+    const key = `${family.toLowerCase()}|${weight}|${italic}`;
+
+    if (!resolvedFonts.has(key)) {
+        let match = findRegisteredFace(family, weight, italic) || matchWithFontconfig(family, weight, italic);
+
+        if (!match) {
+            const faces = getFontIndex().get(family.toLowerCase());
+            match = faces && faces.length ? pickClosestFace(faces, weight, italic) : null;
+        }
+        resolvedFonts.set(key, match);
+    }
+    return resolvedFonts.get(key);
+}
+
+// Load the fontkit font for a family and weight, or null when none is installed
+function getFont(fontFamily, fontWeight, fontStyle) {
+    const match = resolveFontFile(fontFamily, fontWeight, fontStyle);
+    if (!match) return null;
+
+    try {
+        return openFont(match.filePath, match.postscriptName);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Measure text with the real glyph advances and kerning of its font. Glyphs the font
+// lacks are measured by fallbackWidth(char) since the renderer substitutes another font.
+// Returns null when no font file can be found for the family.
+function measureTextWidth(text, fontSize, options = {}) {
+    const {
+        fontFamily = 'Arial',
+        fontWeight = 'normal',
+        fontStyle = 'normal',
+        fallbackWidth = () => fontSize * 0.55
+    } = options;
+
+    const font = getFont(fontFamily, fontWeight, fontStyle);
+    if (!font) return null;
+
+    if (!measurementCaches.has(font)) {
+        measurementCaches.set(font, new Map());
+    }
+    const measurementCache = measurementCaches.get(font);
+    let measurement = measurementCache.get(text);
+
+    if (!measurement) {
+        const run = font.layout(text);
+        measurement = { advance: 0, missing: [] };
+        run.glyphs.forEach((glyph, index) => {
+            if (glyph.id === 0) {
+                measurement.missing.push(...glyph.codePoints.map(codePoint => String.fromCodePoint(codePoint)));
+            } else {
+                measurement.advance += run.positions[index].xAdvance;
+            }
+        });
+
+        if (measurementCache.size >= MAX_CACHED_MEASUREMENTS) {
+            measurementCache.delete(measurementCache.keys().next().value);
+        }
+        measurementCache.set(text, measurement);
+    }
+
+    const missingWidth = measurement.missing.reduce((total, char) => total + fallbackWidth(char), 0);
+    return (measurement.advance / font.unitsPerEm) * fontSize + missingWidth;
+}
+
+// Add an uploaded font face. Registered faces take precedence over system fonts.
+function registerFontFace(face) {
+    registeredFaces.set(face.id, {
+        ...face,
+        families: [face.family.toLowerCase()],
+        italic: face.style === 'italic'
+    });
+    resolvedFonts.clear();
+}
+
+// Remove an uploaded font face
+function unregisterFontFace(id) {
+    const face = registeredFaces.get(id);
+    if (!face) return;
+
+    registeredFaces.delete(id);
+    resolvedFonts.clear();
+    openFonts.delete(`${face.filePath}#${face.postscriptName || ''}`);
+}
+
+// Helper function to check whether fontconfig resolves a family to a face of that family,
+// which covers fonts outside the scanned directories. Null when fc-match is unavailable.
+function isFontconfigFamily(family) {
+    if (!fcMatchAvailable) return null;
+
+    const normalizedFamily = family.toLowerCase();
+    if (fontconfigFamilies.has(normalizedFamily)) {
+        return fontconfigFamilies.get(normalizedFamily);
+    }
+
+    let known;
+    try {
+        const matched = execFileSync('fc-match', ['--format=%{family}', family], {
+            encoding: 'utf8',
+            timeout: 2000,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        known = matched.split(',').some(name => name.trim().toLowerCase() === normalizedFamily);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            fcMatchAvailable = false;
+            return null;
+        }
+        known = false;
+    }
+
+    if (fontconfigFamilies.size >= MAX_CACHED_FAMILIES) {
+        fontconfigFamilies.delete(fontconfigFamilies.keys().next().value);
+    }
+    fontconfigFamilies.set(normalizedFamily, known);
+    return known;
+}
+
+// Check whether a single family name is registered or installed on the host
+function isKnownFontFamily(family) {
+    const normalizedFamily = family.toLowerCase();
+    if ([...registeredFaces.values()].some(face => face.families.includes(normalizedFamily))) {
+        return true;
+    }
+
+    return getFontIndex().has(normalizedFamily) || Boolean(isFontconfigFamily(family));
+}
+
+// List installed system families with their available weights and styles
+function listSystemFontFamilies() {
+    const families = new Map();
+    for (const faces of getFontIndex().values()) {
+        for (const face of faces) {
+            if (!families.has(face.family)) {
+                families.set(face.family, new Map());
+            }
+            families.get(face.family).set(`${face.weight}|${face.italic}`, {
+                weight: face.weight,
+                style: face.italic ? 'italic' : 'normal'
+            });
+        }
+    }
+
+    return [...families.entries()]
+        .map(([family, faces]) => ({
+            family,
+            faces: [...faces.values()].sort((a, b) => a.weight - b.weight)
+        }))
+        .sort((a, b) => a.family.localeCompare(b.family));
+}
+
+// Outline text drawn with a registered font as SVG path data. Registered fonts are
+// drawn as glyph outlines because the SVG renderer only sees fonts that fontconfig
+// knew about at startup. Returns null when the family isn't a registered font.
+function createTextOutline(text, fontSize, options = {}) {
+    const {
+        fontFamily = 'Arial',
+        fontWeight = 'normal',
+        fontStyle = 'normal',
+        x = 0,
+        y = 0,
+        anchor = 'start'
+    } = options;
+
+    const family = parseFontFamilyList(fontFamily)[0];
+    const face = family && findRegisteredFace(family, normalizeFontWeight(fontWeight), fontStyle === 'italic');
+    if (!face) return null;
+
+    const font = openFont(face.filePath, face.postscriptName);
+    const scale = fontSize / font.unitsPerEm;
+    const run = font.layout(text);
+    const width = run.advanceWidth * scale;
+
+    // Match <text> placement: librsvg ignores dominant-baseline, so y is the alphabetic baseline
+    let penX = x;
+    if (anchor === 'middle') penX -= width / 2;
+    if (anchor === 'end') penX -= width;
+
+    const pathData = run.glyphs.map((glyph, index) => {
+        const position = run.positions[index];
+        const glyphPath = glyph.path
+            .scale(scale, -scale)
+            .translate(penX + position.xOffset * scale, y - position.yOffset * scale)
+            .toSVG();
+        penX += position.xAdvance * scale;
+        return glyphPath;
+    }).join(' ');
+
+    return { pathData, width };
+}
+
+// Forget cached font lookups, e.g. after fonts were installed or removed
+function clearFontCache() {
+    fontIndex = null;
+    openFonts.clear();
+    resolvedFonts.clear();
+    fontconfigFamilies.clear();
+}
+
+module.exports = {
+    normalizeFontWeight,
+    parseFontFamilyList,
+    resolveFontFile,
+    measureTextWidth,
+    registerFontFace,
+    unregisterFontFace,
+    isKnownFontFamily,
+    listSystemFontFamilies,
+    createTextOutline,
+    loadSystemFonts,
+    clearFontCache
+};
@@ -0,0 +1,185 @@
+const fontkit = require('fontkit');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    normalizeFontWeight,
+    parseFontFamilyList,
+    registerFontFace,
+    unregisterFontFace,
+    isKnownFontFamily,
+    listSystemFontFamilies
+} = require('./font_metrics');
+const { createHttpError } = require('./errors');
+
+// Uploaded fonts and their index live here
+const FONTS_DIR = process.env.FONTS_DIR || path.join(__dirname, 'data', 'fonts');
+const INDEX_FILE = path.join(FONTS_DIR, 'fonts.json');
+
+// Font file types accepted for upload
+const FONT_FORMATS = {
+    '.ttf': 'truetype',
+    '.otf': 'opentype',
+    '.woff': 'woff',
+    '.woff2': 'woff2'
+};
+
+// Generic CSS families the renderer always resolves to something sensible
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+// Core web families fontconfig substitutes with metric-compatible faces (Liberation,
+// DejaVu), so they render on hosts that don't have them installed
+const WEB_SAFE_FONT_FAMILIES = ['arial', 'helvetica', 'times new roman', 'times', 'courier new', 'courier'];
+
+const fonts = new Map();
+
+// Load previously uploaded fonts from the index file
+function loadFontIndex() {
+    let entries = [];
+    try {
+        entries = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to read font index:', error.message);
+        }
+    }
+
+    for (const entry of entries) {
+        const filePath = path.join(FONTS_DIR, entry.fileName);
+        if (!fs.existsSync(filePath)) continue;
+
+        fonts.set(entry.id, entry);
+        registerFontFace({ ...entry, filePath });
+    }
+}
+
+// Persist the font index
+async function saveFontIndex() {
+    await fs.promises.mkdir(FONTS_DIR, { recursive: true });
+    await fs.promises.writeFile(INDEX_FILE, JSON.stringify([...fonts.values()], null, 2));
+}
+
+// Register an uploaded font file. Family, weight and style are read from the font
+// itself unless overridden.
+async function addFont(buffer, originalName, overrides = {}) {
+    const extension = path.extname(originalName || '').toLowerCase();
+    const format = FONT_FORMATS[extension];
+    if (!format) {
+        throw createHttpError(400, 'Only TTF, OTF, WOFF and WOFF2 font files are allowed');
+    }
+
+    let font;
+    try {
+        font = fontkit.create(buffer);
+    } catch (error) {
+        throw createHttpError(400, `Invalid font file: ${error.message}`);
+    }
+    if (font.fonts) {
+        throw createHttpError(400, 'Font collections are not supported, upload a single font');
+    }
+
+    const os2 = font['OS/2'];
+    const family = overrides.family || (font.getName && font.getName('preferredFamily')) || font.familyName;
+    const weight = overrides.weight ? normalizeFontWeight(overrides.weight) : (os2 ? os2.usWeightClass : 400);
+    const style = overrides.style || (os2 && os2.fsSelection.italic ? 'italic' : 'normal');
+
+    if (!family) {
+        throw createHttpError(400, 'Font has no family name, pass one with the family field');
+    }
+    if (!['normal', 'italic'].includes(style)) {
+        throw createHttpError(400, 'style must be normal or italic');
+    }
+
+    const existing = [...fonts.values()].find(entry =>
+        entry.family.toLowerCase() === family.toLowerCase() && entry.weight === weight && entry.style === style
+    );
+    if (existing) {
+        throw createHttpError(409, `Font ${family} ${weight} ${style} is already registered as ${existing.id}`);
+    }
+
+    const id = crypto.randomUUID();
+    const entry = {
+        id,
+        family,
+        weight,
+        style,
+        format,
+        postscriptName: font.postscriptName,
+        fileName: `${id}${extension}`,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(FONTS_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(FONTS_DIR, entry.fileName), buffer);
+
+    fonts.set(id, entry);
+    registerFontFace({ ...entry, filePath: path.join(FONTS_DIR, entry.fileName) });
+    await saveFontIndex();
+
+    return entry;
+}
+
+// Remove an uploaded font
+async function deleteFont(id) {
+    const entry = fonts.get(id);
+    if (!entry) {
+        throw createHttpError(404, `Font ${id} not found`);
+    }
+
+    fonts.delete(id);
+    unregisterFontFace(id);
+    await saveFontIndex();
+    await fs.promises.rm(path.join(FONTS_DIR, entry.fileName), { force: true });
+
+    return entry;
+}
+
+// List uploaded fonts and installed system fonts, grouped by family
+function listFonts() {
+    const registered = new Map();
+    for (const entry of fonts.values()) {
+        if (!registered.has(entry.family)) {
+            registered.set(entry.family, []);
+        }
+        registered.get(entry.family).push({
+            id: entry.id,
+            weight: entry.weight,
+            style: entry.style,
+            format: entry.format
+        });
+    }
+
+    return {
+        registered: [...registered.entries()]
+            .map(([family, faces]) => ({ family, faces: faces.sort((a, b) => a.weight - b.weight) }))
+            .sort((a, b) => a.family.localeCompare(b.family)),
+        system: listSystemFontFamilies()
+    };
+}
+
+// Throw a 400 unless a font-family value names at least one usable family. A CSS list
+// such as "Brand Sans, sans-serif" is accepted when any entry is usable.
+function assertFontFamilyAvailable(fontFamily) {
+    const families = parseFontFamilyList(fontFamily);
+    const usable = families.some(family =>
+        GENERIC_FONT_FAMILIES.includes(family.toLowerCase()) ||
+        WEB_SAFE_FONT_FAMILIES.includes(family.toLowerCase()) ||
+        isKnownFontFamily(family)
+    );
+
+    if (!usable) {
+        throw createHttpError(400,
+            `Unknown font family "${fontFamily}". Upload it with POST /api/fonts or pick one from GET /api/fonts`);
+    }
+}
+
+loadFontIndex();
+
+module.exports = {
+    FONT_FORMATS,
+    addFont,
+    deleteFont,
+    listFonts,
+    assertFontFamilyAvailable
+};
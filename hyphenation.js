@@ -0,0 +1,49 @@
+const { createHttpError } = require('./errors');
+
+// Hyphenation patterns ship with the hyphen package, one module per language
+const DEFAULT_LANGUAGE = 'en-us';
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]+)*$/;
+const SOFT_HYPHEN = '\u00AD';
+
+const hyphenators = new Map();
+
+// Get a function returning the offsets in a word where it may be hyphenated. Tags are
+// matched from most to least specific, so de-AT uses the German patterns.
+function getHyphenator(language = DEFAULT_LANGUAGE) {
+    const tag = String(language).toLowerCase().replace(/_/g, '-');
+    if (!LANGUAGE_PATTERN.test(tag)) {
+        throw createHttpError(400, `Invalid language ${language}. Use a language tag such as en-us, de or fr`);
+    }
+    if (hyphenators.has(tag)) {
+        return hyphenators.get(tag);
+    }
+
+    for (let candidate = tag; candidate; candidate = candidate.replace(/-?[^-]*$/, '')) {
+        let patterns;
+        try {
+            patterns = require(`hyphen/${candidate}`);
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+            continue;
+        }
+
+        const hyphenator = word => {
+            const points = new Set();
+            let offset = 0;
+            for (const char of patterns.hyphenateSync(word, { hyphenChar: SOFT_HYPHEN })) {
+                if (char === SOFT_HYPHEN) {
+                    points.add(offset);
+                } else {
+                    offset += char.length;
+                }
+            }
+            return points;
+        };
+        hyphenators.set(tag, hyphenator);
+        return hyphenator;
+    }
+
+    throw createHttpError(400, `No hyphenation patterns for language ${language}`);
+}
+
+module.exports = { DEFAULT_LANGUAGE, getHyphenator };
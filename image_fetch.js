@@ -0,0 +1,229 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { createHttpError } = require('./errors');
+
+// Limits for server-side image downloads, overridable through the environment
+const FETCH_MAX_BYTES = parseInt(process.env.IMAGE_FETCH_MAX_BYTES) || 10 * 1024 * 1024; // 10MB, same as uploads
+const FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+const FETCH_MAX_REDIRECTS = process.env.IMAGE_FETCH_MAX_REDIRECTS !== undefined
+    ? parseInt(process.env.IMAGE_FETCH_MAX_REDIRECTS)
+    : 3;
+
+// Comma-separated hostnames, IPs or CIDR ranges that may be fetched even when they
+// resolve to private or loopback addresses, e.g. "localhost,10.0.0.0/8"
+const FETCH_ALLOWLIST = (process.env.IMAGE_FETCH_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local and other non-public ranges. Ranges that embed an IPv4
+// address (IPv4-compatible ::/96, which takes in :: and ::1, 6to4 and NAT64) are blocked
+// whole, since a relay or translator would forward them to that address.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Allowlisted IPs and ranges
+const allowedAddresses = new net.BlockList();
+const allowedHostnames = [];
+for (const entry of FETCH_ALLOWLIST) {
+    const [network, prefix] = entry.split('/');
+    const family = net.isIP(network);
+    if (!family) {
+        allowedHostnames.push(entry);
+    } else if (prefix !== undefined) {
+        allowedAddresses.addSubnet(network, parseInt(prefix), family === 6 ? 'ipv6' : 'ipv4');
+    } else {
+        allowedAddresses.addAddress(network, family === 6 ? 'ipv6' : 'ipv4');
+    }
+}
+
+// Helper function to check whether an IP address may be fetched
+function isAddressAllowed(address) {
+    // Treat IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const ip = mapped ? mapped[1] : address;
+    const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+
+    return allowedAddresses.check(ip, type) || !blockedAddresses.check(ip, type);
+}
+
+// DNS lookup that refuses to connect to blocked addresses. `label` names the
+// request parameter in error messages.
+function createGuardedLookup(label) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(entry => !isAddressAllowed(entry.address));
+            if (blocked) {
+                return callback(createHttpError(400, `${label} resolves to a private address (${blocked.address})`));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+// Helper function to pick the lookup for a URL, skipping the guard for allowlisted hostnames
+function lookupFor(url, label) {
+    return allowedHostnames.includes(url.hostname.toLowerCase()) ? undefined : createGuardedLookup(label);
+}
+
+// Validate a URL before requesting it
+function checkUrl(rawUrl, label = 'imageUrl') {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (error) {
+        throw createHttpError(400, `${label} must be a valid URL`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw createHttpError(400, `${label} must use http or https`);
+    }
+
+    // IP literals never go through DNS lookup, so check them up front
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isAddressAllowed(hostname)) {
+        throw createHttpError(400, `${label} points to a private address (${hostname})`);
+    }
+
+    return url;
+}
+
+// Helper function to perform a single GET without following redirects
+function requestOnce(url, deadline) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+
+        const req = client.get(url, {
+            headers: { 'Accept': 'image/*', 'User-Agent': 'image-overlay-api' },
+            lookup: lookupFor(url, 'imageUrl')
+        }, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                return resolve({ redirect: new URL(res.headers.location, url).toString() });
+            }
+
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                return reject(createHttpError(502, `Fetching imageUrl failed with status ${res.statusCode}`));
+            }
+
+            const contentType = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (!contentType.startsWith('image/')) {
+                res.resume();
+                return reject(createHttpError(415, `imageUrl did not return an image (content-type: ${contentType || 'none'})`));
+            }
+
+            const declaredLength = parseInt(res.headers['content-length']);
+            if (declaredLength > FETCH_MAX_BYTES) {
+                reject(createHttpError(413, `Image at imageUrl exceeds the ${FETCH_MAX_BYTES} byte limit`));
+                return res.destroy();
+            }
+
+            const chunks = [];
+            let received = 0;
+            res.on('data', chunk => {
+                received += chunk.length;
+                if (received > FETCH_MAX_BYTES) {
+                    reject(createHttpError(413, `Image at imageUrl exceeds the ${FETCH_MAX_BYTES} byte limit`));
+                    res.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ buffer: Buffer.concat(chunks), contentType }));
+            res.on('error', reject);
+            res.on('aborted', () => reject(createHttpError(502, 'imageUrl connection closed before the image was received')));
+        });
+
+        // The deadline covers connecting and downloading the whole body
+        const timer = setTimeout(() => {
+            const error = createHttpError(504, 'Timed out fetching imageUrl');
+            reject(error);
+            req.destroy(error);
+        }, Math.max(1, deadline - Date.now()));
+        req.on('close', () => clearTimeout(timer));
+        req.on('error', error => {
+            reject(error.statusCode ? error : createHttpError(502, `Fetching imageUrl failed: ${error.message}`));
+        });
+    });
+}
+
+// Download an image server-side with a size cap, timeout, redirect limit,
+// content-type check and private address blocking
+async function fetchImage(rawUrl, options = {}) {
+    const {
+        maxRedirects = FETCH_MAX_REDIRECTS,
+        timeoutMs = FETCH_TIMEOUT_MS
+    } = options;
+
+    const deadline = Date.now() + timeoutMs;
+    let url = checkUrl(rawUrl);
+
+    for (let redirects = 0; ; redirects++) {
+        if (Date.now() >= deadline) {
+            throw createHttpError(504, 'Timed out fetching imageUrl');
+        }
+
+        const result = await requestOnce(url, deadline);
+        if (!result.redirect) {
+            // The subtype of image/* doubles as the declared source format
+            return { buffer: result.buffer, declaredFormat: result.contentType.replace('image/', '') };
+        }
+
+        if (redirects >= maxRedirects) {
+            throw createHttpError(502, `imageUrl redirected more than ${maxRedirects} times`);
+        }
+        url = checkUrl(result.redirect);
+    }
+}
+
+// POST a JSON body to a URL with the same private address blocking as image fetches.
+// Resolves with the response status code; redirects are not followed.
+function postJson(rawUrl, body, options = {}) {
+    const { headers = {}, timeoutMs = FETCH_TIMEOUT_MS, label = 'callbackUrl' } = options;
+
+    return new Promise((resolve, reject) => {
+        let url;
+        try {
+            url = checkUrl(rawUrl, label);
+        } catch (error) {
+            return reject(error);
+        }
+
+        const payload = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+        const client = url.protocol === 'https:' ? https : http;
+
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': payload.length,
+                'User-Agent': 'image-overlay-api',
+                ...headers
+            },
+            lookup: lookupFor(url, label),
+            timeout: timeoutMs
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.on('timeout', () => req.destroy(createHttpError(504, `Timed out posting to ${label}`)));
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+module.exports = { fetchImage, postJson, checkUrl };
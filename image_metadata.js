@@ -0,0 +1,144 @@
+const { createHttpError } = require('./errors');
+
+// What happens to the EXIF, IPTC and XMP of the source: dropped, kept, or a selection
+// of EXIF groups kept (see EXIF_GROUPS)
+const METADATA_MODES = ['strip', 'preserve'];
+// Color profiles: convert to sRGB, or keep the source profile and its pixel values
+const COLOR_PROFILES = ['srgb', 'preserve'];
+
+// EXIF text tags that can be kept one group at a time, by IFD as Sharp names them
+// (IFD0 is the main image, IFD2 the Exif sub-IFD). Location data is never in a group.
+const EXIF_GROUPS = {
+    copyright: { IFD0: { 0x8298: 'Copyright', 0x013B: 'Artist' } },
+    description: { IFD0: { 0x010E: 'ImageDescription' } },
+    camera: {
+        IFD0: { 0x010F: 'Make', 0x0110: 'Model', 0x0131: 'Software' },
+        IFD2: { 0xA433: 'LensMake', 0xA434: 'LensModel' }
+    },
+    datetime: {
+        IFD0: { 0x0132: 'DateTime' },
+        IFD2: { 0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized' }
+    }
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const EXIF_ASCII = 2;
+
+// Width and height of an image once its EXIF orientation is applied: orientations 5-8
+// are stored turned by 90 degrees
+function orientedMetadata(metadata) {
+    if (metadata.orientation >= 5 && metadata.orientation <= 8) {
+        return { ...metadata, width: metadata.height, height: metadata.width };
+    }
+    return metadata;
+}
+
+// Parse the metadata and colorProfile parameters. metadata is strip, preserve, or an
+// array (or comma-separated list) of EXIF groups to keep.
+function parseMetadataOptions(params = {}) {
+    const { metadata = 'strip', colorProfile = 'srgb' } = params;
+
+    if (!COLOR_PROFILES.includes(colorProfile)) {
+        throw createHttpError(400, `colorProfile must be one of: ${COLOR_PROFILES.join(', ')}`);
+    }
+    if (METADATA_MODES.includes(metadata)) {
+        return { mode: metadata, groups: [], colorProfile };
+    }
+
+    const groups = Array.isArray(metadata)
+        ? metadata
+        : String(metadata).split(',').map(group => group.trim()).filter(Boolean);
+    const unknown = groups.filter(group => !EXIF_GROUPS[group]);
+    if (!groups.length || unknown.length) {
+        throw createHttpError(400, `metadata must be ${METADATA_MODES.join(' or ')}, or a list of EXIF groups to keep: ${Object.keys(EXIF_GROUPS).join(', ')}`);
+    }
+    return { mode: 'select', groups, colorProfile };
+}
+
+// Helper function to read the text tags named in `tags` ({ IFD0: { tag: name } }) from
+// an EXIF block as Sharp reports it. Damaged blocks give whatever could be read.
+function readExifText(exif, tags) {
+    const result = {};
+    if (!Buffer.isBuffer(exif)) {
+        return result;
+    }
+
+    const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+    if (tiff.length < 8 || !['II', 'MM'].includes(tiff.toString('latin1', 0, 2))) {
+        return result;
+    }
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const uint16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const uint32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    const readIfd = (offset, ifd) => {
+        if (offset < 8 || offset + 2 > tiff.length) {
+            return;
+        }
+        const count = uint16(offset);
+        for (let index = 0; index < count; index++) {
+            const entry = offset + 2 + index * 12;
+            if (entry + 12 > tiff.length) break;
+
+            const tag = uint16(entry);
+            if (ifd === 'IFD0' && tag === EXIF_IFD_POINTER) {
+                readIfd(uint32(entry + 8), 'IFD2');
+                continue;
+            }
+            const name = tags[ifd] && tags[ifd][tag];
+            if (!name || uint16(entry + 2) !== EXIF_ASCII) continue;
+
+            // Values of up to four bytes are stored in the entry itself
+            const length = uint32(entry + 4);
+            const start = length <= 4 ? entry + 8 : uint32(entry + 8);
+            if (start + length > tiff.length) continue;
+            const value = tiff.toString('utf8', start, start + length).replace(/\0+$/, '').trim();
+            if (value) {
+                result[ifd] = { ...result[ifd], [name]: value };
+            }
+        }
+    };
+
+    readIfd(uint32(4), 'IFD0');
+    return result;
+}
+
+// Carry the source metadata and color profile over to a Sharp output as the options ask.
+// Pixels are already turned upright, so kept EXIF loses its orientation. CMYK profiles
+// can't describe the RGB output, so CMYK sources are always converted to sRGB.
+function applyMetadataOptions(sharpInstance, sourceMetadata, options) {
+    let image = sharpInstance;
+
+    if (options.mode === 'preserve') {
+        image = image.keepMetadata();
+    } else if (options.mode === 'select') {
+        const tags = {};
+        for (const group of options.groups) {
+            for (const [ifd, names] of Object.entries(EXIF_GROUPS[group])) {
+                tags[ifd] = { ...tags[ifd], ...names };
+            }
+        }
+        const exif = readExifText(sourceMetadata.exif, tags);
+        if (Object.keys(exif).length) {
+            image = image.withExif(exif);
+        }
+    }
+
+    // Sharp converts tagged sources to sRGB by default; the output is tagged as sRGB so
+    // color-managed viewers don't have to guess
+    if (sourceMetadata.icc) {
+        image = options.colorProfile === 'preserve' && sourceMetadata.space !== 'cmyk'
+            ? image.keepIccProfile()
+            : image.withIccProfile('srgb');
+    }
+    return image;
+}
+
+module.exports = {
+    METADATA_MODES,
+    COLOR_PROFILES,
+    EXIF_GROUPS,
+    orientedMetadata,
+    parseMetadataOptions,
+    applyMetadataOptions
+};
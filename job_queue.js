@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('./errors');
+const { postJson } = require('./image_fetch');
+
+// Job results live here until they expire
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, 'data', 'jobs');
+
+// Queue and retention settings, overridable through the environment
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+// Queued jobs hold their uploaded images in memory until they run
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT) || 100;
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+let housekeepingStarted = false;
+
+// Helper function to describe a job for API responses and webhooks
+function describeJob(job) {
+    const description = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt
+    };
+
+    if (job.progress) {
+        description.progress = job.progress;
+    }
+    if (job.status === 'completed') {
+        description.result = {
+            downloadUrl: `/api/jobs/${job.id}/result`,
+            contentType: job.result.contentType,
+            fileName: job.result.fileName,
+            size: job.result.size,
+            ...job.result.details
+        };
+    }
+    if (job.status === 'failed') {
+        description.error = job.error;
+    }
+    if (job.callback) {
+        description.callback = {
+            url: job.callback.url,
+            status: job.callback.status,
+            attempts: job.callback.attempts
+        };
+    }
+    return description;
+}
+
+// Sign a webhook body with HMAC-SHA256 over "<timestamp>.<body>"
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Deliver the job's webhook, retrying with exponential backoff on errors and non-2xx responses
+async function deliverCallback(job) {
+    const { callback } = job;
+    const body = JSON.stringify({
+        event: job.status === 'completed' ? 'job.completed' : 'job.failed',
+        job: describeJob(job)
+    });
+
+    while (callback.attempts < WEBHOOK_MAX_ATTEMPTS) {
+        callback.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const statusCode = await postJson(callback.url, Buffer.from(body), {
+                headers: {
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(callback.secret, timestamp, body)}`
+                }
+            });
+            if (statusCode >= 200 && statusCode < 300) {
+                callback.status = 'delivered';
+                return;
+            }
+            callback.lastError = `Callback responded with status ${statusCode}`;
+        } catch (error) {
+            callback.lastError = error.message;
+        }
+
+        if (callback.attempts < WEBHOOK_MAX_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * 2 ** (callback.attempts - 1)));
+        }
+    }
+
+    callback.status = 'failed';
+    console.error(`Webhook for job ${job.id} failed after ${callback.attempts} attempts: ${callback.lastError}`);
+}
+
+// Run one job and store its result on disk
+async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+        const result = await job.run({
+            reportProgress: (done, total) => {
+                job.progress = { done, total };
+            }
+        });
+
+        const filePath = path.join(JOBS_DIR, `${job.id}.bin`);
+        await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+        await fs.promises.writeFile(filePath, result.buffer);
+
+        job.result = {
+            filePath,
+            contentType: result.contentType,
+            fileName: result.fileName,
+            size: result.buffer.length,
+            details: result.details || {}
+        };
+        job.status = 'completed';
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error(`Error processing job ${job.id}:`, error);
+        }
+        job.status = 'failed';
+        job.error = { status: error.statusCode || 500, message: error.message };
+    }
+
+    // Release the request data the job held on to
+    job.run = null;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + JOB_RETENTION_MS).toISOString();
+
+    if (job.callback) {
+        deliverCallback(job).catch(error => console.error(`Webhook for job ${job.id} failed:`, error));
+    }
+}
+
+// Start queued jobs while there is capacity
+function drainQueue() {
+    while (running < JOB_CONCURRENCY && pending.length) {
+        const job = pending.shift();
+        running++;
+        runJob(job).finally(() => {
+            running--;
+            drainQueue();
+        });
+    }
+}
+
+// Queue a job. `run({ reportProgress })` resolves with { buffer, contentType, fileName, details }.
+// `owner` (the API key id, or null) is the only one who can look the job up afterwards.
+// Returns the job description plus the callback secret when one was generated for it.
+// Throws a 503 when JOB_QUEUE_LIMIT jobs are already waiting.
+function enqueueJob({ type, run, callbackUrl, callbackSecret, owner = null }) {
+    if (pending.length >= JOB_QUEUE_LIMIT) {
+        throw createHttpError(503, 'The job queue is full, try again later');
+    }
+    startHousekeeping();
+    const job = {
+        id: crypto.randomUUID(),
+        owner,
+        type,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: null,
+        run
+    };
+
+    let generatedSecret;
+    if (callbackUrl) {
+        const secret = callbackSecret || WEBHOOK_SECRET || (generatedSecret = crypto.randomBytes(32).toString('hex'));
+        job.callback = { url: callbackUrl, secret, status: 'pending', attempts: 0 };
+    }
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    setImmediate(drainQueue);
+
+    const description = describeJob(job);
+    if (generatedSecret) {
+        description.callbackSecret = generatedSecret;
+    }
+    return description;
+}
+
+// Helper function to find a job of an owner. Other owners' jobs are reported as missing.
+function findJob(id, owner = null) {
+    const job = jobs.get(id);
+    if (!job || job.owner !== owner) {
+        throw createHttpError(404, `Job ${id} not found`);
+    }
+    return job;
+}
+
+// Get a job's status
+function getJob(id, owner) {
+    return describeJob(findJob(id, owner));
+}
+
+// Get the stored result of a completed job
+function getJobResult(id, owner) {
+    const job = findJob(id, owner);
+    if (job.status === 'failed') {
+        throw createHttpError(409, `Job ${id} failed: ${job.error.message}`);
+    }
+    if (job.status !== 'completed') {
+        throw createHttpError(409, `Job ${id} is ${job.status}`);
+    }
+    return job.result;
+}
+
+// Remove expired jobs and their result files
+async function sweepExpiredJobs() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+        if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+            jobs.delete(job.id);
+            if (job.result) {
+                await fs.promises.rm(job.result.filePath, { force: true });
+            }
+        }
+    }
+}
+
+// Helper function to start housekeeping with the first job. Results from a previous run
+// can't be served anymore, so they are cleared; expired jobs are swept from then on.
+function startHousekeeping() {
+    if (housekeepingStarted) return;
+    housekeepingStarted = true;
+
+    try {
+        for (const fileName of fs.readdirSync(JOBS_DIR)) {
+            if (fileName.endsWith('.bin')) {
+                fs.rmSync(path.join(JOBS_DIR, fileName), { force: true });
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to clear old job results:', error.message);
+        }
+    }
+
+    setInterval(() => {
+        sweepExpiredJobs().catch(error => console.error('Failed to sweep expired jobs:', error));
+    }, Math.min(JOB_RETENTION_MS, 60 * 1000)).unref();
+}
+
+module.exports = {
+    enqueueJob,
+    getJob,
+    getJobResult
+};
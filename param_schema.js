@@ -0,0 +1,357 @@
+const { createHttpError } = require('./errors');
+
+// Parameters are declared once as { type, default, min, max, values, pattern, required,
+// description } and used to read request values, validate them and document them.
+// json fields may declare the schema of their entries (items) or fields (properties).
+// requirement and defaultText override how the docs word a conditional requirement or a
+// computed default.
+// Types: number, integer, boolean, string, enum, json (objects, arrays or their JSON
+// strings, checked by the code that uses them) and file (multipart uploads).
+// Multipart and urlencoded bodies send everything as strings, so strings are coerced.
+
+// Helper function to check one value against its field. Returns { value } or { error }.
+function coerceValue(field, value) {
+    switch (field.type) {
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            if (field.type === 'integer' && !Number.isInteger(number)) {
+                return { error: 'must be an integer' };
+            }
+            if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                if (field.min !== undefined && field.max !== undefined) {
+                    return { error: `must be between ${field.min} and ${field.max}` };
+                }
+                return { error: field.min !== undefined ? `must be at least ${field.min}` : `must be at most ${field.max}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            const normalized = String(value).toLowerCase();
+            if (value === true || normalized === 'true' || normalized === '1') return { value: true };
+            if (value === false || normalized === 'false' || normalized === '0') return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'string': {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return { error: 'must be a string' };
+            }
+            const string = String(value);
+            if (field.pattern && !field.pattern.test(string.trim())) {
+                return { error: field.patternMessage || 'is not valid' };
+            }
+            return { value: string };
+        }
+        case 'enum': {
+            const normalized = field.ignoreCase ? String(value).toLowerCase() : value;
+            if (!field.values.includes(normalized)) {
+                return { error: `must be one of: ${field.values.join(', ')}` };
+            }
+            return { value: normalized };
+        }
+        default: // json and file values are passed through
+            return { value };
+    }
+}
+
+// Helper function to check whether a parameter was left out. Forms send empty fields as ''.
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Check the parameters a schema declares. Returns field errors as { field, message },
+// with `prefix` in front of field names (e.g. "layers[0]."). Values `skip` accepts, such
+// as template placeholders, are not checked.
+function checkParams(schema, params = {}, prefix = '', options = {}) {
+    const { skip = () => false } = options;
+    const errors = [];
+    for (const [name, field] of Object.entries(schema)) {
+        const value = params[name];
+        if (isMissing(value)) {
+            if (field.required) {
+                errors.push({ field: `${prefix}${name}`, message: 'is required' });
+            }
+            continue;
+        }
+        if (skip(value)) continue;
+        const { error } = coerceValue(field, value);
+        if (error) {
+            errors.push({ field: `${prefix}${name}`, message: error });
+        }
+    }
+    return errors;
+}
+
+// Read the parameters a schema declares, with defaults for the ones left out. Throws a
+// 400 listing every invalid field.
+function coerceParams(schema, params = {}, prefix = '') {
+    const errors = checkParams(schema, params, prefix);
+    if (errors.length) {
+        throw createHttpError(400, 'Invalid parameters', errors);
+    }
+
+    const values = {};
+    for (const [name, field] of Object.entries(schema)) {
+        values[name] = isMissing(params[name]) ? field.default : coerceValue(field, params[name]).value;
+    }
+    return values;
+}
+
+// Helper function to name a field's type the way the docs do
+function typeLabel(field) {
+    if (field.label) return field.label;
+    switch (field.type) {
+        case 'number':
+        case 'integer':
+            return 'Number';
+        case 'boolean':
+            return 'Boolean';
+        case 'json':
+            return 'Object|JSON string';
+        case 'file':
+            return 'File';
+        default:
+            return 'String';
+    }
+}
+
+// Describe a schema as the /api/docs parameter list: "Type (optional, default: x) - description"
+function describeParams(schema) {
+    return Object.fromEntries(Object.entries(schema).map(([name, field]) => {
+        const details = [field.requirement || (field.required ? 'required' : 'optional')];
+        if (field.defaultText !== undefined || field.default !== undefined) {
+            details.push(`default: ${field.defaultText !== undefined ? field.defaultText : field.default}`);
+        }
+        if (field.type === 'enum') {
+            details.push(`one of: ${field.values.join('|')}`);
+        }
+        const nested = field.items || field.properties;
+        const fields = nested ? `. ${field.items ? 'Entry fields' : 'Fields'}: ${Object.keys(nested).join(', ')}` : '';
+        return [name, `${typeLabel(field)} (${details.join(', ')}) - ${field.description}${fields}`];
+    }));
+}
+
+// Leave fields out of a parameter schema
+function omitParams(schema, names) {
+    return Object.fromEntries(Object.entries(schema).filter(([name]) => !names.includes(name)));
+}
+
+// Describe endpoints for /api/docs, with their parameter schemas written out as text
+function describeEndpoints(endpoints) {
+    return Object.fromEntries(Object.entries(endpoints).map(([route, endpoint]) => {
+        const { query, parameters, status, responseType, security, ...fields } = endpoint;
+        const schema = parameters && typeof parameters === 'object' ? { ...query, ...parameters } : query;
+        return [route, {
+            ...fields,
+            ...(typeof parameters === 'string' ? { parameters } : schema ? { parameters: describeParams(schema) } : {})
+        }];
+    }));
+}
+
+// Helper function to turn a field into an OpenAPI schema object
+function openApiSchema(field) {
+    const schema = { description: field.requirement ? `${field.description} (${field.requirement})` : field.description };
+    switch (field.type) {
+        case 'number':
+        case 'integer':
+            schema.type = field.type;
+            if (field.min !== undefined) schema.minimum = field.min;
+            if (field.max !== undefined) schema.maximum = field.max;
+            break;
+        case 'boolean':
+            schema.type = 'boolean';
+            break;
+        case 'enum':
+            schema.type = 'string';
+            schema.enum = field.values;
+            break;
+        case 'json': {
+            const structured = field.items
+                ? [{ type: 'array', items: openApiObject(field.items, { withoutFiles: true }) }]
+                : field.properties ? [openApiObject(field.properties)] : [{ type: 'object' }, { type: 'array' }];
+            schema.oneOf = [...structured, { type: 'string' }];
+            break;
+        }
+        case 'file':
+            schema.type = 'string';
+            schema.format = 'binary';
+            break;
+        default:
+            schema.type = 'string';
+            if (field.pattern) schema.pattern = field.pattern.source;
+    }
+    if (field.default !== undefined) {
+        schema.default = field.default;
+    }
+    return schema;
+}
+
+// Helper function to build an OpenAPI object schema from a parameter schema
+function openApiObject(schema, options = {}) {
+    const { withoutFiles = false } = options;
+    const entries = Object.entries(schema).filter(([, field]) => !(withoutFiles && field.type === 'file'));
+    const required = entries.filter(([, field]) => field.required).map(([name]) => name);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(entries.map(([name, field]) => [name, openApiSchema(field)])),
+        ...(required.length ? { required } : {})
+    };
+}
+
+// Build an OpenAPI 3 document from endpoint descriptions keyed by "METHOD /path/:param".
+// Endpoints may have a description, contentType ("a or b"), parameters (a schema, or a
+// string note), query (a schema), status, response and responseType (json or image).
+function createOpenApiDocument(info, endpoints, options = {}) {
+    const { securitySchemes = {}, security = [], publicPaths = [] } = options;
+    const paths = {};
+
+    for (const [route, endpoint] of Object.entries(endpoints)) {
+        const [method, routePath] = route.split(' ');
+        const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+        const pathParameters = [...routePath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+            name, in: 'path', required: true, schema: { type: 'string' }
+        }));
+        const queryParameters = Object.entries(endpoint.query || {}).map(([name, field]) => ({
+            name, in: 'query', required: Boolean(field.required), schema: openApiSchema(field), description: field.description
+        }));
+
+        const operation = {
+            summary: endpoint.description,
+            ...(typeof endpoint.parameters === 'string' ? { description: endpoint.parameters } : {}),
+            ...(pathParameters.length || queryParameters.length ? { parameters: [...pathParameters, ...queryParameters] } : {})
+        };
+
+        if (endpoint.parameters && typeof endpoint.parameters === 'object') {
+            const contentTypes = (endpoint.contentType || 'application/json').split(' or ');
+            operation.requestBody = {
+                required: true,
+                content: Object.fromEntries(contentTypes.map(contentType => [contentType, {
+                    schema: openApiObject(endpoint.parameters, { withoutFiles: contentType !== 'multipart/form-data' })
+                }]))
+            };
+        }
+
+        const success = endpoint.responseType === 'image'
+            ? {
+                'image/*': { schema: { type: 'string', format: 'binary' } },
+                'application/json': { schema: { type: 'object' } }
+            }
+            : { 'application/json': { schema: { type: 'object' } } };
+        operation.responses = {
+            [endpoint.status || 200]: { description: endpoint.response || 'Success', content: success },
+            default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+        };
+        if (publicPaths.includes(routePath)) {
+            operation.security = [];
+        } else if (endpoint.security) {
+            operation.security = endpoint.security;
+        }
+
+        paths[openApiPath] = { ...paths[openApiPath], [method.toLowerCase()]: operation };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        paths,
+        components: {
+            securitySchemes,
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        details: { description: 'Field errors as [{ field, message }], or other details about the error' }
+                    },
+                    required: ['error']
+                }
+            }
+        },
+        security
+    };
+}
+
+// Helper function to escape text for HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Render an OpenAPI document as a self-contained HTML page
+function renderDocsPage(document, specUrl) {
+    const describeType = schema => schema.enum
+        ? schema.enum.join(' | ')
+        : schema.format === 'binary' ? 'file' : schema.type || 'object, array or JSON string';
+
+    const operations = Object.entries(document.paths).flatMap(([routePath, methods]) =>
+        Object.entries(methods).map(([method, operation]) => {
+            const body = operation.requestBody ? Object.entries(operation.requestBody.content) : [];
+            const [contentType, { schema } = {}] = body.find(([type]) => type === 'multipart/form-data') || body[0] || [];
+            const fields = [
+                ...(operation.parameters || []).map(parameter => [parameter.name, parameter.schema, parameter.required, parameter.in]),
+                ...Object.entries(schema ? schema.properties : {}).map(([name, property]) =>
+                    [name, property, (schema.required || []).includes(name), 'body'])
+            ];
+            const rows = fields.map(([name, property, required, location]) => `<tr>
+                <td><code>${escapeHtml(name)}</code>${required ? ' <em>required</em>' : ''}</td>
+                <td>${escapeHtml(location)}</td>
+                <td>${escapeHtml(describeType(property))}</td>
+                <td>${property.default !== undefined ? `<code>${escapeHtml(JSON.stringify(property.default))}</code>` : ''}</td>
+                <td>${escapeHtml(property.description || '')}</td>
+            </tr>`).join('');
+            const [status, response] = Object.entries(operation.responses)[0];
+
+            return `<section id="${escapeHtml(`${method}-${routePath}`)}">
+                <h2><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(routePath)}</code></h2>
+                <p>${escapeHtml(operation.summary || '')}</p>
+                ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+                ${contentType ? `<p>Body: <code>${escapeHtml(Object.keys(operation.requestBody.content).join(', '))}</code></p>` : ''}
+                ${rows ? `<table><tr><th>Name</th><th>In</th><th>Type</th><th>Default</th><th>Description</th></tr>${rows}</table>` : ''}
+                <p>Response ${escapeHtml(status)}: ${escapeHtml(response.description)}</p>
+            </section>`;
+        }));
+
+    const contents = Object.entries(document.paths).flatMap(([routePath, methods]) =>
+        Object.keys(methods).map(method =>
+            `<li><a href="#${escapeHtml(`${method}-${routePath}`)}">${method.toUpperCase()} ${escapeHtml(routePath)}</a></li>`));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 1rem 2rem; color: #1e293b; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e2e8f0; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    section { border-top: 2px solid #cbd5e1; margin-top: 1.5rem; }
+    .method { border-radius: 4px; color: #fff; font-size: 0.8rem; padding: 0.1rem 0.4rem; background: #475569; }
+    .get { background: #0369a1; } .post { background: #15803d; } .put { background: #b45309; } .delete { background: #b91c1c; }
+    ul { columns: 2; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description || '')}</p>
+<p>OpenAPI document: <a href="${escapeHtml(specUrl)}">${escapeHtml(specUrl)}</a></p>
+<ul>${contents.join('')}</ul>
+${operations.join('\n')}
+</body>
+</html>`;
+}
+
+module.exports = {
+    checkParams,
+    coerceParams,
+    omitParams,
+    describeParams,
+    describeEndpoints,
+    createOpenApiDocument,
+    renderDocsPage
+};
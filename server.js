@@ -2,14 +2,103 @@ const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
 const cors = require('cors');
+const archiver = require('archiver');
+const LineBreaker = require('linebreak');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { measureTextWidth, createTextOutline, loadSystemFonts } = require('./font_metrics');
+const { FONT_FORMATS, addFont, deleteFont, listFonts, assertFontFamilyAvailable } = require('./font_registry');
+const { createCanvasImage } = require('./canvas_background');
+const { DEFAULT_MIN_CONTRAST, sampleRegion, chooseTextColor } = require('./color_contrast');
+const { DEFAULT_LANGUAGE, getHyphenator } = require('./hyphenation');
+const { transformBox, transformedExtent, rotatedWrapWidth, circlePathData, measurePath } = require('./text_geometry');
+const { METADATA_MODES, COLOR_PROFILES, EXIF_GROUPS, orientedMetadata, parseMetadataOptions, applyMetadataOptions } = require('./image_metadata');
+const { checkParams, coerceParams, omitParams, describeEndpoints, createOpenApiDocument, renderDocsPage } = require('./param_schema');
+const { addAsset, deleteAsset, listAssets, getAsset, readAsset } = require('./asset_store');
+const { createHttpError } = require('./errors');
+const { fetchImage, checkUrl } = require('./image_fetch');
+const { QUOTA_PERIODS, createApiKey, revokeApiKey, listApiKeys, getApiKey, hasApiKeys, consumeApiKey } = require('./api_keys');
+const { enqueueJob, getJob, getJobResult } = require('./job_queue');
+const {
+    findPlaceholders,
+    fillTemplate,
+    listTemplates,
+    getTemplate,
+    listTemplateVersions,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    readTemplateBackground
+} = require('./template_store');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+
+// Admin routes manage API keys and are opened with ADMIN_API_KEY. Once it is set (or keys
+// exist) every other /api route except the docs needs an API key.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Helper function to check whether API keys are enforced
+function apiKeysRequired() {
+    return Boolean(ADMIN_API_KEY) || hasApiKeys();
+}
+
+// Helper function to report a key's rate limit and quota in response headers
+function setRateLimitHeaders(res, limits) {
+    res.set({
+        'RateLimit-Limit': String(limits.rateLimit.limit),
+        'RateLimit-Remaining': String(limits.rateLimit.remaining),
+        'RateLimit-Reset': String(limits.rateLimit.reset),
+        'RateLimit-Policy': `${limits.rateLimit.limit};w=${limits.rateLimit.windowSeconds}`,
+        'X-Quota-Limit': String(limits.quota.limit),
+        'X-Quota-Remaining': String(limits.quota.remaining),
+        'X-Quota-Reset': String(limits.quota.reset)
+    });
+}
+
+// Check the API key of a request, from the X-API-Key header, a bearer token or the
+// apiKey query parameter. Reads (GET) count against the rate limit but not the quota,
+// so polling a job doesn't use it up.
+app.use('/api', (req, res, next) => {
+    if (!apiKeysRequired() || req.path === '/docs' || req.path === '/openapi.json' || req.path === '/admin' || req.path.startsWith('/admin/')) {
+        return next();
+    }
+
+    try {
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        const key = req.get('X-API-Key') || (bearer && bearer[1]) || req.query.apiKey;
+        const { id, limits } = consumeApiKey(key, req.method !== 'GET');
+        req.apiKeyId = id;
+        setRateLimitHeaders(res, limits);
+        next();
+    } catch (error) {
+        if (error.statusCode === 429) {
+            setRateLimitHeaders(res, error.details.limits);
+            res.set('Retry-After', String(error.details.retryAfter));
+        }
+        sendErrorResponse(res, error);
+    }
+});
+
+// Helper function to guard the admin routes with ADMIN_API_KEY
+function requireAdminKey(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ error: 'Admin routes are disabled. Set ADMIN_API_KEY to enable them' });
+    }
+    const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+    if (!crypto.timingSafeEqual(digest(req.get('X-Admin-Key')), digest(ADMIN_API_KEY))) {
+        return res.status(401).json({ error: 'A valid X-Admin-Key header is required' });
+    }
+    next();
+}
+app.use('/api/admin', requireAdminKey);
+
+// Bodies are parsed only after the key checks above, so unauthenticated requests are
+// rejected before a large body is read
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -34,9 +123,35 @@ const upload = multer({
     }
 });
 
+// Separate upload handler for font files
+const fontUpload = multer({
+    storage: storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+        if (FONT_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only TTF, OTF, WOFF and WOFF2 font files are allowed'), false);
+        }
+    }
+});
+
+// Output formats Sharp can encode, with their MIME types and file extensions. svg is
+// composed here rather than encoded by Sharp (see createSvgDocument).
+const OUTPUT_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    webp: { mimeType: 'image/webp', extension: 'webp' },
+    gif: { mimeType: 'image/gif', extension: 'gif' },
+    tiff: { mimeType: 'image/tiff', extension: 'tiff' },
+    avif: { mimeType: 'image/avif', extension: 'avif' },
+    heif: { mimeType: 'image/heif', extension: 'heif' },
+    svg: { mimeType: 'image/svg+xml', extension: 'svg' }
+};
+
 // Helper function to get appropriate Sharp format method
 function getSharpFormat(format, metadata) {
-    const normalizedFormat = format.toLowerCase();
+    const normalizedFormat = String(format || 'auto').toLowerCase();
     
     switch (normalizedFormat) {
         case 'jpg':
@@ -58,15 +173,41 @@ function getSharpFormat(format, metadata) {
         case 'heif':
         case 'heic':
             return 'heif';
+        case 'svg':
+            return 'svg';
         default:
             // If format not recognized, use original format or default to PNG
             if (metadata && metadata.format) {
-                return metadata.format === 'jpeg' ? 'jpeg' : metadata.format;
+                // libheif reports AVIF files as heif with AV1 compression
+                if (metadata.format === 'heif' && metadata.compression === 'av1') return 'avif';
+                // SVG sources are rasterized unless svg output is asked for
+                if (OUTPUT_FORMATS[metadata.format] && metadata.format !== 'svg') return metadata.format;
             }
             return 'png';
     }
 }
 
+// Resolve the output format for a request. An explicit outputFormat always wins;
+// "auto" keeps the source format unless the Accept header asks for something else.
+function resolveOutputFormat(outputFormat, sourceFormat, metadata, req) {
+    if (String(outputFormat || 'auto').toLowerCase() !== 'auto') {
+        return { format: getSharpFormat(outputFormat, metadata), negotiated: false };
+    }
+
+    const sourceOutputFormat = getSharpFormat(sourceFormat || 'auto', metadata);
+    if (!req || !req.get('Accept')) {
+        return { format: sourceOutputFormat, negotiated: false };
+    }
+
+    // List the source format first so "*/*" and "image/*" keep it. Browsers list
+    // image/svg+xml among the images they accept, so svg has to be asked for by name.
+    const candidates = [sourceOutputFormat, ...Object.keys(OUTPUT_FORMATS).filter(f => f !== sourceOutputFormat && f !== 'svg')];
+    const accepted = req.accepts(candidates.map(f => OUTPUT_FORMATS[f].mimeType));
+    const acceptedFormat = candidates.find(f => OUTPUT_FORMATS[f].mimeType === accepted);
+
+    return { format: acceptedFormat || sourceOutputFormat, negotiated: true };
+}
+
 // Helper function to detect format from buffer
 function detectImageFormat(buffer) {
     // Check magic bytes to determine format
@@ -79,8 +220,11 @@ function detectImageFormat(buffer) {
     return null; // Unknown format, let Sharp auto-detect
 }
 
-// Improved text width estimation with better font metrics
-function estimateTextWidth(text, fontSize, fontFamily = 'Arial', fontWeight = 'normal') {
+// Characters that render at full em width (CJK ideographs, kana, Hangul, fullwidth forms)
+const WIDE_CHARACTER_PATTERN = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+
+// Per-character width estimate from the font metrics table, used when no font file is available
+function estimateCharWidth(char, fontSize, fontFamily = 'Arial', fontWeight = 'normal') {
     // More accurate character width multipliers for common fonts
     const fontMetrics = {
         'Arial': { normal: 0.52, bold: 0.58 },
@@ -96,113 +240,341 @@ function estimateTextWidth(text, fontSize, fontFamily = 'Arial', fontWeight = 'n
     };
     
     const metrics = fontMetrics[fontFamily] || { normal: 0.52, bold: 0.58 };
-    const weightMultiplier = fontWeight === 'bold' ? metrics.bold : metrics.normal;
+    let charMultiplier = fontWeight === 'bold' ? metrics.bold : metrics.normal;
+    
+    // Adjust for specific characters
+    if (WIDE_CHARACTER_PATTERN.test(char)) charMultiplier = 1;
+    else if ('iIl1'.includes(char)) charMultiplier *= 0.4;
+    else if ('fjtJ'.includes(char)) charMultiplier *= 0.5;
+    else if ('rF'.includes(char)) charMultiplier *= 0.65;
+    else if ('mwMW'.includes(char)) charMultiplier *= 1.5;
+    else if (' '.includes(char)) charMultiplier *= 0.3;
+    else if ('.,;:!|'.includes(char)) charMultiplier *= 0.35;
     
-    // Account for character variations
+    return fontSize * charMultiplier;
+}
+
+// Text width from the glyph advances and kerning of the actual font file. The metrics
+// table is only used when no font file can be found for the family.
+function estimateTextWidth(text, fontSize, fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal') {
+    const measuredWidth = measureTextWidth(text, fontSize, {
+        fontFamily,
+        fontWeight,
+        fontStyle,
+        fallbackWidth: char => estimateCharWidth(char, fontSize, fontFamily, fontWeight)
+    });
+    if (measuredWidth !== null) {
+        return measuredWidth;
+    }
+
     let totalWidth = 0;
     for (const char of text) {
-        let charMultiplier = weightMultiplier;
-        
-        // Adjust for specific characters
-        if ('iIl1'.includes(char)) charMultiplier *= 0.4;
-        else if ('fjtJ'.includes(char)) charMultiplier *= 0.5;
-        else if ('rF'.includes(char)) charMultiplier *= 0.65;
-        else if ('mwMW'.includes(char)) charMultiplier *= 1.5;
-        else if (' '.includes(char)) charMultiplier *= 0.3;
-        else if ('.,;:!|'.includes(char)) charMultiplier *= 0.35;
-        
-        totalWidth += fontSize * charMultiplier;
+        totalWidth += estimateCharWidth(char, fontSize, fontFamily, fontWeight);
     }
-    
     return totalWidth;
 }
 
-// Improved text wrapping with better word breaking
-function wrapText(text, maxWidth, fontSize, fontFamily = 'Arial', fontWeight = 'normal') {
-    // Handle explicit line breaks first
-    const paragraphs = text.split('\n');
+// Color values accepted inside <color=...> markup
+const MARKUP_COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\([\d\s.,%deg]+\))$/;
+
+// Parse **bold**, *italic* and <color=#ff0>...</color> markup into styled runs.
+// A backslash escapes the next character.
+function parseRichText(text) {
+    const runs = [];
+    const colors = [];
+    let bold = false;
+    let italic = false;
+    let current = '';
+
+    const flush = () => {
+        if (current) {
+            runs.push({ text: current, bold, italic, color: colors[colors.length - 1] || null });
+            current = '';
+        }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const colorTag = text[i] === '<' && text.slice(i).match(/^<color=([^>]+)>/);
+
+        if (text[i] === '\\' && i + 1 < text.length) {
+            current += text[++i];
+        } else if (text.startsWith('**', i)) {
+            flush();
+            bold = !bold;
+            i++;
+        } else if (text[i] === '*') {
+            flush();
+            italic = !italic;
+        } else if (colorTag && MARKUP_COLOR_PATTERN.test(colorTag[1].trim())) {
+            flush();
+            colors.push(colorTag[1].trim());
+            i += colorTag[0].length - 1;
+        } else if (text.startsWith('</color>', i) && colors.length) {
+            flush();
+            colors.pop();
+            i += '</color>'.length - 1;
+        } else {
+            current += text[i];
+        }
+    }
+    flush();
+
+    return runs;
+}
+
+// Helper function to turn plain text or styled runs into runs
+function toRuns(text) {
+    return typeof text === 'string' ? [{ text, bold: false, italic: false, color: null }] : text;
+}
+
+// Helper function to get the plain text of a line of runs
+function lineText(line) {
+    return line.map(run => run.text).join('');
+}
+
+// Helper function to join adjacent runs that share a style
+function mergeRuns(runs) {
+    return runs.reduce((merged, run) => {
+        const last = merged[merged.length - 1];
+        if (last && last.bold === run.bold && last.italic === run.italic && last.color === run.color) {
+            last.text += run.text;
+        } else {
+            merged.push({ ...run });
+        }
+        return merged;
+    }, []);
+}
+
+// Width of styled runs, each measured with its own weight and style
+function measureRuns(runs, fontSize, fontFamily, fontWeight, fontStyle) {
+    return mergeRuns(runs).reduce((total, run) => total + estimateTextWidth(
+        run.text,
+        fontSize,
+        fontFamily,
+        run.bold ? 'bold' : fontWeight,
+        run.italic ? 'italic' : fontStyle
+    ), 0);
+}
+
+// Scripts whose words are hyphenated when broken across lines
+const HYPHENATED_SCRIPT_PATTERN = /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{Script=Armenian}\p{Script=Georgian}]/u;
+
+// Scripts written right to left
+const RTL_SCRIPT_PATTERN = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Helper function to split text into grapheme clusters (user-perceived characters)
+function splitGraphemes(text) {
+    return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+}
+
+// Helper function to pick the paragraph direction from the first letter, like the
+// Unicode bidi algorithm does
+function detectDirection(text) {
+    const firstLetter = text.match(/\p{L}/u);
+    return firstLetter && RTL_SCRIPT_PATTERN.test(firstLetter[0]) ? 'rtl' : 'ltr';
+}
+
+// Helper function to cut the styled pieces covering text offsets [start, end) out of runs
+function sliceRuns(runs, start, end) {
+    const pieces = [];
+    let offset = 0;
+    for (const run of runs) {
+        const from = Math.max(start, offset);
+        const to = Math.min(end, offset + run.text.length);
+        if (from < to) {
+            pieces.push({ ...run, text: run.text.slice(from - offset, to - offset) });
+        }
+        offset += run.text.length;
+    }
+    return pieces;
+}
+
+// Helper function to split runs into paragraphs of words, using the Unicode line breaking
+// algorithm (UAX #14) so CJK text breaks between characters. Breaks never fall inside a
+// grapheme cluster. Each word keeps its styled pieces and the whitespace before it, if any.
+function splitIntoWords(runs) {
+    const text = runs.map(run => run.text).join('');
+    const graphemeBoundaries = new Set(Array.from(graphemeSegmenter.segment(text), ({ index }) => index));
+    const paragraphs = [[]];
+    const breaker = new LineBreaker(text);
+    let start = 0;
+    let space = null;
+    let breakPoint;
+
+    while ((breakPoint = breaker.nextBreak())) {
+        const end = breakPoint.position;
+        if (end < text.length && !graphemeBoundaries.has(end)) continue;
+
+        const segment = text.slice(start, end);
+        const contentLength = segment.replace(/\s+$/, '').length;
+        if (contentLength) {
+            paragraphs[paragraphs.length - 1].push({ pieces: sliceRuns(runs, start, start + contentLength), space });
+            space = null;
+        }
+
+        const trailing = segment.slice(contentLength);
+        if (trailing) {
+            space = { ...sliceRuns(runs, start + contentLength, end)[0], text: ' ' };
+        }
+        // Explicit line breaks start new paragraphs, keeping empty lines
+        const newlines = (trailing.match(/\r\n|[\n\r\u2028\u2029]/g) || []).length;
+        for (let i = 0; i < newlines; i++) {
+            paragraphs.push([]);
+            space = null;
+        }
+        start = end;
+    }
+
+    return paragraphs;
+}
+
+// Ways of filling lines: greedy puts as many words as fit on each line, balanced
+// evens out the line lengths
+const WRAP_MODES = ['greedy', 'balanced'];
+
+// Improved text wrapping with better word breaking. Accepts plain text or styled runs
+// and returns lines as arrays of runs, measuring every run in its own style. Options:
+// wrapMode and hyphenator, which finds where long words may be hyphenated.
+function wrapText(text, maxWidth, fontSize, fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal', options = {}) {
+    const { wrapMode = 'greedy', hyphenator = null } = options;
+    const measure = runs => measureRuns(runs, fontSize, fontFamily, fontWeight, fontStyle);
+    const breakWord = pieces => breakLongWord(pieces, maxWidth, fontSize, fontFamily, fontWeight, fontStyle, hyphenator);
     const allLines = [];
     
-    for (const paragraph of paragraphs) {
-        if (!paragraph.trim()) {
-            allLines.push(''); // Preserve empty lines
+    // Handle explicit line breaks first
+    for (const words of splitIntoWords(toRuns(text))) {
+        if (!words.length) {
+            allLines.push([]); // Preserve empty lines
+            continue;
+        }
+
+        if (wrapMode === 'balanced') {
+            allLines.push(...balanceLines(words, maxWidth, measure, breakWord));
             continue;
         }
         
-        const words = paragraph.split(/\s+/);
         const lines = [];
-        let currentLine = '';
+        let currentLine = [];
 
         for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            const testWidth = estimateTextWidth(testLine, fontSize, fontFamily, fontWeight);
+            const testLine = currentLine.length
+                ? [...currentLine, ...(word.space ? [word.space] : []), ...word.pieces]
+                : word.pieces;
             
-            if (testWidth <= maxWidth) {
+            if (measure(testLine) <= maxWidth) {
                 currentLine = testLine;
-            } else {
-                if (currentLine) {
-                    lines.push(currentLine);
-                    currentLine = word;
-                    
-                    // Check if single word is still too long
-                    if (estimateTextWidth(word, fontSize, fontFamily, fontWeight) > maxWidth) {
-                        // Break long word with hyphen
-                        const brokenWords = breakLongWord(word, maxWidth, fontSize, fontFamily, fontWeight);
-                        if (brokenWords.length > 1) {
-                            lines.push(brokenWords[0]);
-                            currentLine = brokenWords.slice(1).join(' ');
-                        } else {
-                            currentLine = word; // Keep as is if can't break
-                        }
-                    }
-                } else {
-                    // Single word is too long, try to break it
-                    const brokenWords = breakLongWord(word, maxWidth, fontSize, fontFamily, fontWeight);
-                    lines.push(...brokenWords.slice(0, -1));
-                    currentLine = brokenWords[brokenWords.length - 1];
-                }
+                continue;
+            }
+
+            if (currentLine.length) {
+                lines.push(currentLine);
             }
+
+            // Break a word that doesn't fit on a line of its own
+            const parts = measure(word.pieces) > maxWidth ? breakWord(word.pieces) : [word.pieces];
+            lines.push(...parts.slice(0, -1));
+            currentLine = parts[parts.length - 1];
         }
         
-        if (currentLine) {
+        if (currentLine.length) {
             lines.push(currentLine);
         }
         
         allLines.push(...lines);
     }
     
-    return allLines;
+    return allLines.map(mergeRuns);
 }
 
-// Helper function to break long words intelligently
-function breakLongWord(word, maxWidth, fontSize, fontFamily, fontWeight) {
-    const wordWidth = estimateTextWidth(word, fontSize, fontFamily, fontWeight);
-    if (wordWidth <= maxWidth) return [word];
-    
-    const parts = [];
-    let currentPart = '';
-    
-    for (let i = 0; i < word.length; i++) {
-        const char = word[i];
-        const testPart = currentPart + char;
-        const testWidth = estimateTextWidth(testPart + '-', fontSize, fontFamily, fontWeight);
-        
-        if (testWidth <= maxWidth && i < word.length - 1) {
-            currentPart = testPart;
-        } else {
-            if (currentPart) {
-                parts.push(currentPart + '-');
-                currentPart = char;
-            } else {
-                // Even single character is too wide, just add it
-                parts.push(char);
-                currentPart = '';
+// Helper function to wrap a paragraph on the fewest lines with the least raggedness.
+// Like Knuth-Plass, every possible set of breaks is weighed by the sum of the squared gaps
+// at the line ends, the last line included so it isn't left with an orphan word. Long
+// words are broken up first; all but their last part have to end a line.
+function balanceLines(words, maxWidth, measure, breakWord) {
+    const tokens = words.flatMap(word => {
+        const parts = measure(word.pieces) > maxWidth ? breakWord(word.pieces) : [word.pieces];
+        return parts.map((pieces, index) => ({
+            pieces,
+            space: index === 0 ? word.space : null,
+            endsLine: index < parts.length - 1
+        }));
+    });
+    const joinTokens = (start, end) => tokens.slice(start, end).flatMap((token, index) =>
+        index && token.space ? [token.space, ...token.pieces] : token.pieces);
+
+    // best[i] is the best way to set the tokens from i onwards
+    const best = [];
+    best[tokens.length] = { lines: 0, cost: 0 };
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        for (let j = i + 1; j <= tokens.length; j++) {
+            const width = measure(joinTokens(i, j));
+            // A token too wide for any line still gets one of its own
+            if (width > maxWidth && j > i + 1) break;
+
+            const candidate = {
+                lines: best[j].lines + 1,
+                cost: best[j].cost + Math.max(0, maxWidth - width) ** 2,
+                end: j
+            };
+            if (!best[i] || candidate.lines < best[i].lines ||
+                (candidate.lines === best[i].lines && candidate.cost < best[i].cost)) {
+                best[i] = candidate;
             }
+            if (tokens[j - 1].endsLine) break;
         }
     }
+
+    const lines = [];
+    for (let i = 0; i < tokens.length; i = best[i].end) {
+        lines.push(joinTokens(i, best[i].end));
+    }
+    return lines;
+}
+
+// Helper function to break long words intelligently. Words are only cut between grapheme
+// clusters, at dictionary hyphenation points when a hyphenator knows some that fit, and
+// only scripts that hyphenate get a hyphen at the cut.
+function breakLongWord(pieces, maxWidth, fontSize, fontFamily, fontWeight, fontStyle, hyphenator = null) {
+    const measure = runs => measureRuns(runs, fontSize, fontFamily, fontWeight, fontStyle);
+    const chars = pieces.flatMap(piece => splitGraphemes(piece.text).map(char => ({ ...piece, text: char })));
+
+    // Grapheme indexes the dictionary allows a break before
+    const dictionaryBreaks = new Set();
+    if (hyphenator) {
+        const points = hyphenator(chars.map(char => char.text).join(''));
+        let offset = 0;
+        chars.forEach((char, i) => {
+            if (points.has(offset)) dictionaryBreaks.add(i);
+            offset += char.text.length;
+        });
+    }
+    const hyphenAt = i => i > 0 && i < chars.length && (dictionaryBreaks.has(i) ||
+        (HYPHENATED_SCRIPT_PATTERN.test(chars[i - 1].text) && HYPHENATED_SCRIPT_PATTERN.test(chars[i].text)));
+    // The part before a break at i, with a hyphen when the script takes one
+    const partBefore = (start, i) => {
+        const part = chars.slice(start, i);
+        return hyphenAt(i) ? [...part, { ...part[part.length - 1], text: '-' }] : part;
+    };
+    
+    const parts = [];
+    let start = 0;
     
-    if (currentPart) {
-        parts.push(currentPart);
+    while (start < chars.length) {
+        // Even a single character that is too wide gets a part of its own
+        let end = start + 1;
+        let dictionaryEnd = null;
+        for (let i = start + 1; i <= chars.length && measure(chars.slice(start, i)) <= maxWidth; i++) {
+            if (measure(partBefore(start, i)) > maxWidth) continue;
+            end = i;
+            if (i === chars.length || dictionaryBreaks.has(i)) dictionaryEnd = i;
+        }
+        // Prefer the last dictionary break that fits over cutting anywhere
+        if (dictionaryEnd) end = dictionaryEnd;
+
+        parts.push(partBefore(start, end));
+        start = end;
     }
     
     return parts;
@@ -215,14 +587,32 @@ function calculateOptimalFontSize(text, imageWidth, imageHeight, options = {}) {
         minFontSize = Math.max(12, Math.min(imageWidth, imageHeight) * 0.02), // Scale min with image
         fontFamily = 'Arial',
         fontWeight = 'normal',
+        fontStyle = 'normal',
         paddingPercent = 10, // Padding as percentage
         lineHeightMultiplier = 1.3,
-        maxLines = 10 // Prevent too many lines
+        maxLines = 10, // Prevent too many lines
+        wrapMode = 'greedy',
+        hyphenator = null,
+        rotation = 0,
+        skew = 0
     } = options;
     
     const padding = Math.min(imageWidth, imageHeight) * (paddingPercent / 100);
     const maxTextWidth = imageWidth - (padding * 2);
     const maxTextHeight = imageHeight - (padding * 2);
+    // Rotated text wraps to the longest lines that fit at its angle
+    const wrapWidth = rotatedWrapWidth(maxTextWidth, maxTextHeight, rotation);
+
+    // Rotated or skewed blocks have to fit with the extent they take up on the image
+    const fits = (wrappedLines, fontSize, lineHeight) => {
+        const totalTextHeight = wrappedLines.length * lineHeight;
+        if (!rotation && !skew) {
+            return totalTextHeight <= maxTextHeight;
+        }
+        const blockWidth = Math.max(0, ...wrappedLines.map(line => measureRuns(line, fontSize, fontFamily, fontWeight, fontStyle)));
+        const extent = transformedExtent(blockWidth, totalTextHeight, rotation, skew);
+        return extent.width <= maxTextWidth && extent.height <= maxTextHeight;
+    };
     
     // Binary search for optimal font size
     let low = minFontSize;
@@ -232,10 +622,9 @@ function calculateOptimalFontSize(text, imageWidth, imageHeight, options = {}) {
     while (high - low > 1) {
         const fontSize = Math.round((low + high) / 2);
         const lineHeight = fontSize * lineHeightMultiplier;
-        const wrappedLines = wrapText(text, maxTextWidth, fontSize, fontFamily, fontWeight);
-        const totalTextHeight = wrappedLines.length * lineHeight;
+        const wrappedLines = wrapText(text, wrapWidth, fontSize, fontFamily, fontWeight, fontStyle, { wrapMode, hyphenator });
         
-        if (totalTextHeight <= maxTextHeight && wrappedLines.length <= maxLines) {
+        if (fits(wrappedLines, fontSize, lineHeight) && wrappedLines.length <= maxLines) {
             bestResult = { fontSize, wrappedLines, lineHeight };
             low = fontSize;
         } else {
@@ -247,366 +636,2689 @@ function calculateOptimalFontSize(text, imageWidth, imageHeight, options = {}) {
     if (!bestResult) {
         const fontSize = minFontSize;
         const lineHeight = fontSize * lineHeightMultiplier;
-        const wrappedLines = wrapText(text, maxTextWidth, fontSize, fontFamily, fontWeight);
+        const wrappedLines = wrapText(text, wrapWidth, fontSize, fontFamily, fontWeight, fontStyle, { wrapMode, hyphenator });
         bestResult = { fontSize, wrappedLines, lineHeight };
     }
     
     return bestResult;
 }
 
-// Enhanced SVG text creation with better positioning and styling
-function createTextSVG(text, options = {}) {
+// Distance from a line's baseline to its visual middle, as a fraction of the font size
+const BASELINE_TO_MIDDLE = 0.3;
+
+// What to do with text that doesn't fit at minFontSize: let it spill over, shrink it
+// further, cut it to maxLines with an ellipsis, clip it at the edge, or reject it
+const TEXT_OVERFLOW_POLICIES = ['visible', 'shrink', 'ellipsis', 'clip', 'error'];
+// Smallest font size overflow: 'shrink' goes down to
+const MIN_SHRINK_FONT_SIZE = 4;
+
+// Work out the font size, wrapped lines and where every line sits. Text, backgrounds
+// and anything else that has to line up with the text share this layout.
+function layoutText(text, options = {}) {
     const {
         fontSize = 32,
         fontFamily = 'Arial',
         fontWeight = 'normal',
-        color = '#ffffff',
+        fontStyle = 'normal',
         textAlign = 'center',
         positionX = 50,
         positionY = 50,
         imageWidth = 800,
         imageHeight = 600,
+        richText = false,
         autoResize = true,
         maxFontSize = 100,
         minFontSize = 12,
         paddingPercent = 10,
         lineHeightMultiplier = 1.3,
-        shadowEnabled = true,
-        shadowColor = 'rgba(0,0,0,0.7)',
-        shadowBlur = 4,
-        shadowOffset = 2,
-        strokeEnabled = false,
-        strokeColor = '#000000',
-        strokeWidth = 1
+        direction = 'auto',
+        wrapMode = 'greedy',
+        language = DEFAULT_LANGUAGE,
+        hyphenate = true,
+        rotation = 0,
+        skew = 0,
+        curve = 'none',
+        textBox = null,
+        overflow = 'visible',
+        maxLines = 10
     } = options;
 
+    const runs = richText ? parseRichText(text) : toRuns(text);
+    // start and end follow the text direction, so right-to-left text mirrors them
+    const textDirection = direction === 'auto' ? detectDirection(text) : direction;
+    const physicalAlign = textAlign === 'start' ? (textDirection === 'rtl' ? 'right' : 'left')
+        : textAlign === 'end' ? (textDirection === 'rtl' ? 'left' : 'right')
+        : textAlign;
+
+    if (curve !== 'none') {
+        return layoutCurvedText(runs, textDirection, physicalAlign, options);
+    }
+
     let finalFontSize = fontSize;
     let lines = [];
     let lineHeight = fontSize * lineHeightMultiplier;
+    const wrapOptions = { wrapMode, hyphenator: hyphenate ? getHyphenator(language) : null };
+    // Text is fitted into its text box, or the image minus the padding
+    const areaWidth = textBox ? textBox.width : imageWidth;
+    const areaHeight = textBox ? textBox.height : imageHeight;
+    const areaPadding = textBox ? 0 : paddingPercent;
+    const padding = Math.min(areaWidth, areaHeight) * (areaPadding / 100);
+    const availableWidth = areaWidth - (padding * 2);
+    const availableHeight = areaHeight - (padding * 2);
+    const maxWidth = rotatedWrapWidth(availableWidth, availableHeight, rotation);
+    const fitOptions = {
+        maxFontSize,
+        minFontSize,
+        fontFamily,
+        fontWeight,
+        fontStyle,
+        paddingPercent: areaPadding,
+        lineHeightMultiplier,
+        maxLines,
+        rotation,
+        skew,
+        ...wrapOptions
+    };
 
     if (autoResize) {
         // Auto-calculate font size and wrap text
-        const result = calculateOptimalFontSize(text, imageWidth, imageHeight, {
-            maxFontSize,
-            minFontSize,
-            fontFamily,
-            fontWeight,
-            paddingPercent,
-            lineHeightMultiplier
-        });
+        const result = calculateOptimalFontSize(runs, areaWidth, areaHeight, fitOptions);
         finalFontSize = result.fontSize;
         lines = result.wrappedLines;
         lineHeight = result.lineHeight;
     } else {
         // Manual wrapping with specified font size
-        const padding = Math.min(imageWidth, imageHeight) * (paddingPercent / 100);
-        const maxWidth = imageWidth - (padding * 2);
-        lines = wrapText(text, maxWidth, fontSize, fontFamily, fontWeight);
+        lines = wrapText(runs, maxWidth, fontSize, fontFamily, fontWeight, fontStyle, wrapOptions);
         lineHeight = fontSize * lineHeightMultiplier;
     }
 
-    // Calculate text positioning
+    // How far lines at a font size spill out of the area, once rotated and skewed
+    const measureExcess = (candidateLines, size, height) => {
+        const blockWidth = Math.max(0, ...candidateLines.map(line => measureRuns(line, size, fontFamily, fontWeight, fontStyle)));
+        const extent = transformedExtent(blockWidth, candidateLines.length * height, rotation, skew);
+        return {
+            width: Math.max(0, extent.width - availableWidth),
+            height: Math.max(0, extent.height - availableHeight),
+            lines: Math.max(0, candidateLines.length - maxLines)
+        };
+    };
+    const exceeds = excess => excess.width > 0.5 || excess.height > 0.5 || excess.lines > 0;
+
+    // Text that doesn't fit even at the smallest font size is handled by the overflow policy
+    let overflowReport = null;
+    let clipped = false;
+    const excess = measureExcess(lines, finalFontSize, lineHeight);
+    if (exceeds(excess)) {
+        const measured = {
+            fontSize: finalFontSize,
+            lines: lines.length,
+            maxLines,
+            overflowWidth: Math.round(excess.width),
+            overflowHeight: Math.round(excess.height)
+        };
+        overflowReport = { policy: overflow, truncated: false, ...measured };
+
+        switch (overflow) {
+            case 'error':
+                throw createHttpError(422, `Text does not fit ${textBox ? 'its text box' : 'the image'} at font size ${finalFontSize}`, { overflow: measured });
+            case 'shrink': {
+                // Keep searching below minFontSize
+                const result = calculateOptimalFontSize(runs, areaWidth, areaHeight, {
+                    ...fitOptions,
+                    maxFontSize: finalFontSize,
+                    minFontSize: MIN_SHRINK_FONT_SIZE
+                });
+                finalFontSize = result.fontSize;
+                lines = result.wrappedLines;
+                lineHeight = result.lineHeight;
+                break;
+            }
+            case 'ellipsis': {
+                let kept = lines.slice(0, Math.max(1, maxLines));
+                while (kept.length > 1 && exceeds(measureExcess(kept, finalFontSize, lineHeight))) {
+                    kept = kept.slice(0, -1);
+                }
+                if (kept.length < lines.length) {
+                    const measure = runs => measureRuns(runs, finalFontSize, fontFamily, fontWeight, fontStyle);
+                    kept[kept.length - 1] = ellipsizeLine(kept[kept.length - 1], maxWidth, measure);
+                    overflowReport.truncated = true;
+                }
+                lines = kept;
+                break;
+            }
+            case 'clip':
+                clipped = true;
+                overflowReport.truncated = true;
+                break;
+        }
+        overflowReport.fontSize = finalFontSize;
+        overflowReport.lines = lines.length;
+    }
+
+    // Clipped text is cut off at the text box, or the image minus the padding
+    const clipBox = !clipped ? null : textBox ? { x: textBox.x, y: textBox.y, width: textBox.width, height: textBox.height } : {
+        x: padding,
+        y: padding,
+        width: availableWidth,
+        height: availableHeight
+    };
+
+    // Calculate text positioning. The block is placed by the extent it takes up once
+    // rotated and skewed, and turned around its center.
     const totalTextHeight = lines.length * lineHeight;
-    let x, y, anchor;
-    
+    const widths = lines.map(line => measureRuns(line, finalFontSize, fontFamily, fontWeight, fontStyle));
+    const blockWidth = Math.max(0, ...widths);
+    const extent = transformedExtent(blockWidth, totalTextHeight, rotation, skew);
+    const center = placeExtent(extent, physicalAlign, options);
+    // Text too tall for its clip box starts at the top, so the end is what gets cut off
+    if (clipBox && extent.height > clipBox.height) {
+        center.y = clipBox.y + extent.height / 2;
+    }
+    let x, anchor;
+
     // Handle horizontal alignment
-    switch (textAlign) {
+    switch (physicalAlign) {
         case 'left':
             anchor = 'start';
-            x = imageWidth * (paddingPercent / 100);
+            x = center.x - blockWidth / 2;
             break;
         case 'right':
             anchor = 'end';
-            x = imageWidth - (imageWidth * (paddingPercent / 100));
+            x = center.x + blockWidth / 2;
             break;
         default: // center
             anchor = 'middle';
+            x = center.x;
+    }
+    // First baseline, so that the line boxes below are centered on the block
+    const y = center.y - (totalTextHeight / 2) + lineHeight / 2 + finalFontSize * BASELINE_TO_MIDDLE;
+
+    // One line-height tall box per line, centered on the glyphs around its baseline
+    const lineBoxes = lines.map((line, index) => {
+        const baseline = y + (index * lineHeight);
+        const width = widths[index];
+        return {
+            x: anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x,
+            y: baseline - finalFontSize * BASELINE_TO_MIDDLE - lineHeight / 2,
+            width,
+            height: lineHeight,
+            baseline
+        };
+    });
+
+    const left = Math.min(...lineBoxes.map(box => box.x));
+    const right = Math.max(...lineBoxes.map(box => box.x + box.width));
+    const blockBox = lineBoxes.length ? {
+        x: left,
+        y: lineBoxes[0].y,
+        width: right - left,
+        height: totalTextHeight
+    } : { x, y, width: 0, height: 0 };
+
+    return {
+        fontSize: finalFontSize,
+        lineHeight,
+        lines,
+        x,
+        anchor,
+        direction: textDirection,
+        lineBoxes,
+        blockBox,
+        // Where the text ends up on the image once transformed
+        extentBox: transformBox(blockBox, center, rotation, skew),
+        transform: blockTransform(center, rotation, skew),
+        clipBox,
+        overflow: overflowReport
+    };
+}
+
+// Helper function to end a line with an ellipsis, dropping characters until it fits
+function ellipsizeLine(line, maxWidth, measure) {
+    const chars = line.flatMap(run => splitGraphemes(run.text).map(char => ({ ...run, text: char })));
+    const ellipsis = () => ({ ...chars[chars.length - 1], text: '…' });
+    while (chars.length && (/^\s+$/.test(chars[chars.length - 1].text) || measure([...chars, ellipsis()]) > maxWidth)) {
+        chars.pop();
+    }
+    return mergeRuns([...chars, ellipsis()]);
+}
+
+// Helper function to find where the center of a block goes, from the size it takes up
+// on the image, its alignment and positionX/positionY. Edges are kept the same padding
+// away as the area the text was fitted into.
+function placeExtent(extent, align, options) {
+    const { imageWidth = 800, imageHeight = 600, positionX = 50, positionY = 50, paddingPercent = 10, textBox = null } = options;
+    const padding = Math.min(imageWidth, imageHeight) * (paddingPercent / 100);
+    let x, y;
+
+    // In a text box the block goes to the box's anchor point, e.g. its bottom center
+    if (textBox) {
+        const position = (placement, start, size, extentSize) => {
+            if (placement === 'left' || placement === 'top') return start + extentSize / 2;
+            if (placement === 'right' || placement === 'bottom') return start + size - extentSize / 2;
+            return start + size / 2;
+        };
+        return {
+            x: position(align, textBox.x, textBox.width, extent.width),
+            y: position(textBox.vertical, textBox.y, textBox.height, extent.height)
+        };
+    }
+
+    switch (align) {
+        case 'left':
+            x = padding + extent.width / 2;
+            break;
+        case 'right':
+            x = imageWidth - padding - extent.width / 2;
+            break;
+        default: // center
             x = (imageWidth * positionX) / 100;
     }
-    
-    // Handle vertical positioning
+
     if (positionY <= 25) {
         // Top alignment
-        y = (imageHeight * (paddingPercent / 100)) + lineHeight;
+        y = padding + extent.height / 2;
     } else if (positionY >= 75) {
         // Bottom alignment
-        y = imageHeight - (imageHeight * (paddingPercent / 100)) - totalTextHeight + lineHeight;
+        y = imageHeight - padding - extent.height / 2;
     } else {
         // Center alignment
-        y = ((imageHeight * positionY) / 100) - (totalTextHeight / 2) + lineHeight;
-    }
-
-    // Create text styling
-    let textStyle = `font-family="${fontFamily}" font-size="${finalFontSize}" font-weight="${fontWeight}" fill="${color}" text-anchor="${anchor}" dominant-baseline="middle"`;
-    
-    if (shadowEnabled) {
-        textStyle += ` style="filter: drop-shadow(${shadowOffset}px ${shadowOffset}px ${shadowBlur}px ${shadowColor});"`;
+        y = (imageHeight * positionY) / 100;
     }
-    
-    if (strokeEnabled) {
-        textStyle += ` stroke="${strokeColor}" stroke-width="${strokeWidth}"`;
-    }
-
-    // Generate text elements
-    const textElements = lines.map((line, index) => {
-        const lineY = y + (index * lineHeight);
-        const escapedLine = line
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
-            
-        return `<text x="${x}" y="${lineY}" ${textStyle}>${escapedLine}</text>`;
-    }).join('');
 
-    return `<svg width="${imageWidth}" height="${imageHeight}" xmlns="http://www.w3.org/2000/svg">
-        ${textElements}
-    </svg>`;
+    return { x, y };
 }
 
-// Helper function to apply Sharp format with appropriate options
-function applySharpFormat(sharpInstance, format, metadata) {
-    const sharpFormat = getSharpFormat(format, metadata);
-    
-    switch (sharpFormat) {
-        case 'jpeg':
-            return sharpInstance.jpeg({ quality: 90 });
-        case 'png':
-            return sharpInstance.png({ compressionLevel: 6 });
-        case 'webp':
-            return sharpInstance.webp({ quality: 90 });
-        case 'gif':
-            return sharpInstance.gif();
-        case 'tiff':
-            return sharpInstance.tiff({ compression: 'lzw' });
-        case 'avif':
-            return sharpInstance.avif({ quality: 90 });
-        case 'heif':
-            return sharpInstance.heif({ quality: 90 });
-        default:
-            return sharpInstance.png();
+// Helper function to build the SVG transform that skews and then rotates a block around a pivot
+function blockTransform(pivot, rotation, skew) {
+    if (!rotation && !skew) {
+        return null;
     }
+    return `translate(${pivot.x} ${pivot.y}) rotate(${rotation}) skewX(${skew}) translate(${-pivot.x} ${-pivot.y})`;
 }
 
-// API endpoint for image overlay with file upload
-app.post('/api/overlay', upload.single('image'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No image file provided' });
-        }
-
-        const {
-            text = '',
-            fontSize = 32,
-            fontFamily = 'Arial',
-            fontWeight = 'normal',
-            color = '#ffffff',
-            textAlign = 'center',
-            positionX = 50,
-            positionY = 50,
-            outputFormat = 'auto',
-            autoResize = true,
-            maxFontSize = 100,
-            minFontSize = 12,
-            paddingPercent = 10,
-            lineHeightMultiplier = 1.3,
-            shadowEnabled = true,
-            shadowColor = 'rgba(0,0,0,0.7)',
-            shadowBlur = 4,
-            shadowOffset = 2,
-            strokeEnabled = false,
-            strokeColor = '#000000',
-            strokeWidth = 1
-        } = req.body;
-
-        if (!text) {
-            return res.status(400).json({ error: 'Text is required' });
-        }
-
-        // Get image metadata
-        const imageBuffer = req.file.buffer;
-        const metadata = await sharp(imageBuffer).metadata();
-        
-        // Determine output format
-         let finalFormat = 'jpeg'; 
+// Curves text can be set along
+const TEXT_CURVES = ['none', 'arc', 'circle', 'path'];
 
-        // Create text overlay SVG with enhanced options
-        const textSVG = createTextSVG(text, {
-            fontSize: parseInt(fontSize),
-            fontFamily,
-            fontWeight,
-            color,
-            textAlign,
-            positionX: parseInt(positionX),
-            positionY: parseInt(positionY),
-            imageWidth: metadata.width,
-            imageHeight: metadata.height,
-            autoResize: autoResize !== 'false' && autoResize !== false,
-            maxFontSize: parseInt(maxFontSize) || Math.min(metadata.width, metadata.height) * 0.15,
-            minFontSize: parseInt(minFontSize) || Math.max(12, Math.min(metadata.width, metadata.height) * 0.02),
-            paddingPercent: parseInt(paddingPercent),
-            lineHeightMultiplier: parseFloat(lineHeightMultiplier),
-            shadowEnabled: shadowEnabled !== 'false' && shadowEnabled !== false,
-            shadowColor,
-            shadowBlur: parseInt(shadowBlur),
-            shadowOffset: parseInt(shadowOffset),
-            strokeEnabled: strokeEnabled === 'true' || strokeEnabled === true,
-            strokeColor,
-            strokeWidth: parseInt(strokeWidth)
-        });
+// Helper function to measure curved text at a font size: its width, the length of the
+// curve and the box the glyphs take up, relative to the circle center for arcs and
+// circles and on the image for custom paths
+function measureCurvedText(line, fontSize, options, path) {
+    const { fontFamily = 'Arial', fontWeight = 'normal', fontStyle = 'normal', curve, curveRadius } = options;
+    const width = measureRuns(line, fontSize, fontFamily, fontWeight, fontStyle);
 
-        // Composite image with text overlay and apply format
-        let sharpInstance = sharp(imageBuffer)
-            .composite([{
-                input: Buffer.from(textSVG),
-                top: 0,
-                left: 0
-            }]);
+    if (path) {
+        return {
+            width,
+            length: path.length,
+            box: {
+                x: path.box.x - fontSize,
+                y: path.box.y - fontSize,
+                width: path.box.width + fontSize * 2,
+                height: path.box.height + fontSize * 2
+            }
+        };
+    }
 
-        // Apply the appropriate format
-        sharpInstance = sharpInstance.jpeg({ quality: 90 });
-        const outputBuffer = await sharpInstance.toBuffer();
+    // Glyphs stand on the outside of circles with a positive radius and hang on the
+    // inside of ones with a negative radius
+    const radius = Math.abs(curveRadius);
+    const [outer, inner] = curveRadius > 0
+        ? [radius + fontSize, Math.max(0, radius - fontSize * 0.25)]
+        : [radius + fontSize * 0.25, Math.max(0, radius - fontSize)];
+    // Half the angle the text spans, measured from the top of the circle
+    const half = curve === 'circle' ? Math.PI : Math.min(Math.PI, width / radius / 2);
+    const halfWidth = half >= Math.PI / 2 ? outer : outer * Math.sin(half);
+    const far = half <= Math.PI / 2 ? -inner * Math.cos(half) : -outer * Math.cos(half);
+    const [top, bottom] = curveRadius > 0 ? [-outer, far] : [-far, outer];
 
-        // Set response headers
-res.set({
-  'Content-Type': 'image/jpeg',
-  'Content-Length': outputBuffer.length,
-  'Content-Disposition': 'attachment; filename="image-with-overlay.jpg"'
-});
- 
+    return {
+        width,
+        // Arcs are kept to the upper (or lower) half of the circle
+        length: (curve === 'circle' ? 2 : 1) * Math.PI * radius,
+        box: { x: -halfWidth, y: top, width: halfWidth * 2, height: bottom - top }
+    };
+}
 
-        res.send(outputBuffer);
+// Lay out text set along a curve, on one line: an arc with its middle at the top of a
+// circle (or the bottom, for a negative curveRadius), the whole circle with the letters
+// spread evenly around it, or a custom SVG path. Each glyph is placed and turned on
+// its own for raster output, because librsvg does not render <textPath>; SVG output
+// keeps the text editable along a <textPath> placed as the glyphs are.
+function layoutCurvedText(runs, textDirection, physicalAlign, options) {
+    const {
+        fontSize = 32,
+        fontFamily = 'Arial',
+        fontWeight = 'normal',
+        fontStyle = 'normal',
+        imageWidth = 800,
+        imageHeight = 600,
+        autoResize = true,
+        maxFontSize = 100,
+        minFontSize = 12,
+        paddingPercent = 10,
+        lineHeightMultiplier = 1.3,
+        rotation = 0,
+        skew = 0,
+        curve,
+        curvePath,
+        textBox = null,
+        overflow = 'visible'
+    } = options;
 
-    } catch (error) {
-        console.error('Error processing image:', error);
-        res.status(500).json({ error: 'Failed to process image', details: error.message });
-    }
-});
+    const line = mergeRuns(runs.map(run => ({ ...run, text: run.text.replace(/\s*[\r\n\u2028\u2029]+\s*/g, ' ') })));
+    const path = curve === 'path' ? measurePath(curvePath) : null;
+    const padding = Math.min(imageWidth, imageHeight) * (paddingPercent / 100);
+    const areaWidth = textBox ? textBox.width : imageWidth - padding * 2;
+    const areaHeight = textBox ? textBox.height : imageHeight - padding * 2;
 
-// API endpoint for image overlay with base64 input
-app.post('/api/overlay-base64', async (req, res) => {
-    try {
-        const {
-            imageBase64,
-            text = '',
-            fontSize = 32,
-            fontFamily = 'Arial',
-            fontWeight = 'normal',
-            color = '#ffffff',
-            textAlign = 'center',
-            positionX = 50,
-            positionY = 50,
-            outputFormat = 'auto',
-            returnBase64 = false,
-            autoResize = true,
-            maxFontSize = 100,
-            minFontSize = 12,
-            paddingPercent = 10,
-            lineHeightMultiplier = 1.3,
-            shadowEnabled = true,
-            shadowColor = 'rgba(0,0,0,0.7)',
-            shadowBlur = 4,
-            shadowOffset = 2,
-            strokeEnabled = false,
-            strokeColor = '#000000',
-            strokeWidth = 1
-        } = req.body;
-
-        if (!imageBase64) {
-            return res.status(400).json({ error: 'imageBase64 is required' });
-        }
-
-        if (!text) {
-            return res.status(400).json({ error: 'text is required' });
-        }
-
-        // Extract format from base64 string if present
-        let detectedFormat = null;
-        const base64Match = imageBase64.match(/^data:image\/([a-zA-Z]+);base64,/);
-        if (base64Match) {
-            detectedFormat = base64Match[1];
-        }
-
-        // Convert base64 to buffer
-        const base64Data = imageBase64.replace(/^data:image\/[a-z]+;base64,/, '');
-        const imageBuffer = Buffer.from(base64Data, 'base64');
-
-        // Get image metadata
-        const metadata = await sharp(imageBuffer).metadata();
-        
-        // Determine output format
-         let finalFormat = 'jpeg'; 
+    // Arcs and circles have to fit the text box or image once transformed; a custom path
+    // is where the request put it, so only the text has to fit along it
+    const fits = size => {
+        const { width, length, box } = measureCurvedText(line, size, options, path);
+        if (width > length) return false;
+        if (path) return true;
+        const extent = transformedExtent(box.width, box.height, rotation, skew);
+        return extent.width <= areaWidth && extent.height <= areaHeight;
+    };
 
-        // Create text overlay SVG with enhanced options
-        const textSVG = createTextSVG(text, {
-            fontSize: parseInt(fontSize),
-            fontFamily,
-            fontWeight,
-            color,
-            textAlign,
-            positionX: parseInt(positionX),
-            positionY: parseInt(positionY),
-            imageWidth: metadata.width,
-            imageHeight: metadata.height,
-            autoResize: autoResize !== 'false' && autoResize !== false,
-            maxFontSize: parseInt(maxFontSize) || Math.min(metadata.width, metadata.height) * 0.15,
-            minFontSize: parseInt(minFontSize) || Math.max(12, Math.min(metadata.width, metadata.height) * 0.02),
-            paddingPercent: parseInt(paddingPercent),
-            lineHeightMultiplier: parseFloat(lineHeightMultiplier),
-            shadowEnabled: shadowEnabled !== 'false' && shadowEnabled !== false,
-            shadowColor,
-            shadowBlur: parseInt(shadowBlur),
-            shadowOffset: parseInt(shadowOffset),
-            strokeEnabled: strokeEnabled === 'true' || strokeEnabled === true,
-            strokeColor,
-            strokeWidth: parseInt(strokeWidth)
-        });
+    let finalFontSize = fontSize;
+    if (autoResize) {
+        // Binary search for optimal font size
+        let low = minFontSize;
+        let high = maxFontSize;
+        finalFontSize = null;
 
-        // Composite image with text overlay
-        let sharpInstance = sharp(imageBuffer)
-            .composite([{
-                input: Buffer.from(textSVG),
-                top: 0,
-                left: 0
-            }]);
-
-        // Apply the appropriate format
-        sharpInstance = applySharpFormat(sharpInstance, finalFormat, metadata);
-        const outputBuffer = await sharpInstance.toBuffer();
-
-        if (returnBase64) {
-            // Return as base64 string
-           const actualFormat = getSharpFormat(finalFormat, metadata);
-const outputBase64 = `data:image/${actualFormat};base64,${outputBuffer.toString('base64')}`;
-
-
-            res.json({ 
-                success: true,
-                imageBase64: outputBase64,
-                size: outputBuffer.length,
-                format: actualFormat
-            });
-        } else {
-            // Return as binary
-            const actualFormat = getSharpFormat(finalFormat, metadata);
-            res.set({
-  'Content-Type': 'image/jpeg',
-  'Content-Length': outputBuffer.length,
-  'Content-Disposition': 'attachment; filename="image-with-overlay.jpg"'
-});
-            res.send(outputBuffer);
+        while (high - low > 1) {
+            const size = Math.round((low + high) / 2);
+            if (fits(size)) {
+                finalFontSize = size;
+                low = size;
+            } else {
+                high = size - 1;
+            }
         }
+        finalFontSize = finalFontSize || minFontSize;
+    }
 
-    } catch (error) {
-        console.error('Error processing image:', error);
-        res.status(500).json({ error: 'Failed to process image', details: error.message });
+    // Text too long for its curve is handled by the overflow policy; ellipsis and clip
+    // leave out the letters that run off the curve
+    let overflowReport = null;
+    if (!fits(finalFontSize)) {
+        const { width, length } = measureCurvedText(line, finalFontSize, options, path);
+        const measured = { fontSize: finalFontSize, overflowLength: Math.round(Math.max(0, width - length)) };
+        if (overflow === 'error') {
+            throw createHttpError(422, `Text does not fit along its curve at font size ${finalFontSize}`, { overflow: measured });
+        }
+        if (overflow === 'shrink') {
+            let size = finalFontSize;
+            while (size > MIN_SHRINK_FONT_SIZE && !fits(size)) size--;
+            finalFontSize = size;
+        }
+        overflowReport = { policy: overflow, truncated: false, ...measured };
     }
-});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    // Arcs and circles are placed by their extent like text blocks, paths stay put
+    const { box } = measureCurvedText(line, finalFontSize, options, path);
+    let blockBox, pivot, pathData;
+    if (path) {
+        blockBox = box;
+        pivot = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        pathData = curvePath;
+    } else {
+        pivot = placeExtent(transformedExtent(box.width, box.height, rotation, skew), physicalAlign, options);
+        const circleX = pivot.x - (box.x + box.width / 2);
+        const circleY = pivot.y - (box.y + box.height / 2);
+        blockBox = { ...box, x: box.x + circleX, y: box.y + circleY };
+        pathData = circlePathData(circleX, circleY, options.curveRadius);
+    }
+    const measure = path || measurePath(pathData);
+
+    const chars = line.flatMap(run => splitGraphemes(run.text).map(char => ({
+        ...run,
+        text: char,
+        width: measureRuns([{ ...run, text: char }], finalFontSize, fontFamily, fontWeight, fontStyle)
+    })));
+    // Right-to-left text is set from the right, so its letters run backwards along the curve
+    if (textDirection === 'rtl') {
+        chars.reverse();
+    }
+    const textLength = chars.reduce((total, char) => total + char.width, 0);
+
+    // Circles spread the letters around the whole circumference; along arcs the text is
+    // centered and along paths it follows the alignment
+    const spacing = curve === 'circle' && chars.length ? Math.max(0, (measure.length - textLength) / chars.length) : 0;
+    let offset;
+    if (curve === 'circle') {
+        offset = spacing / 2;
+    } else if (path && physicalAlign === 'left') {
+        offset = 0;
+    } else if (path && physicalAlign === 'right') {
+        offset = measure.length - textLength;
+    } else {
+        offset = (measure.length - textLength) / 2;
+    }
+
+    // Where the middle of the text sits along the path, and the length circles stretch it to
+    const textPath = {
+        middle: offset + (textLength + spacing * Math.max(0, chars.length - 1)) / 2,
+        length: spacing ? textLength + spacing * (chars.length - 1) : null
+    };
+
+    const glyphs = [];
+    for (const char of chars) {
+        const middle = offset + char.width / 2;
+        offset += char.width + spacing;
+        if (!char.text.trim()) continue;
+        // Like <textPath>, letters that run off the path are left out
+        if (middle < 0 || middle > measure.length) {
+            if (overflowReport) overflowReport.truncated = true;
+            continue;
+        }
+        glyphs.push({ ...char, ...measure.pointAt(middle) });
+    }
+    if (overflowReport) {
+        overflowReport.fontSize = finalFontSize;
+    }
+
+    return {
+        fontSize: finalFontSize,
+        lineHeight: finalFontSize * lineHeightMultiplier,
+        lines: [line],
+        x: pivot.x,
+        anchor: 'middle',
+        direction: textDirection,
+        lineBoxes: [],
+        blockBox,
+        extentBox: transformBox(blockBox, pivot, rotation, skew),
+        transform: blockTransform(pivot, rotation, skew),
+        pathData,
+        glyphs,
+        textPath,
+        clipBox: null,
+        overflow: overflowReport
+    };
+}
+
+// Gradient and clip path ids must be unique across all layers of one SVG document
+let scrimCounter = 0;
+
+// Draw the background shape behind a laid out text block: a box around the whole block,
+// a highlight bar per line, or a gradient scrim from the top or bottom edge
+function createBackgroundElements(layout, options = {}) {
+    const {
+        imageWidth = 800,
+        imageHeight = 600,
+        backgroundStyle = 'none',
+        backgroundColor = '#000000',
+        backgroundOpacity = 0.6,
+        backgroundPadding = null,
+        backgroundRadius = null,
+        backgroundBorderColor = '#ffffff',
+        backgroundBorderWidth = 0,
+        scrimPosition = 'auto'
+    } = options;
+
+    const padding = backgroundPadding !== null ? backgroundPadding : Math.round(layout.fontSize * 0.4);
+    const radius = backgroundRadius !== null ? backgroundRadius : Math.round(layout.fontSize * 0.25);
+    const fill = `fill="${escapeXml(backgroundColor)}" fill-opacity="${backgroundOpacity}"`;
+    const border = backgroundBorderWidth > 0
+        ? ` stroke="${escapeXml(backgroundBorderColor)}" stroke-width="${backgroundBorderWidth}"`
+        : '';
+    const rect = (box, horizontalPadding, verticalPadding) =>
+        `<rect x="${box.x - horizontalPadding}" y="${box.y - verticalPadding}" ` +
+        `width="${box.width + horizontalPadding * 2}" height="${box.height + verticalPadding * 2}" ` +
+        `rx="${radius}" ${fill}${border}/>`;
+
+    switch (backgroundStyle) {
+        case 'box':
+            return layout.lines.length ? rect(layout.blockBox, padding, padding) : '';
+        case 'highlight':
+            // Bars of neighbouring lines touch, so they are only padded sideways
+            return layout.lineBoxes
+                .filter(box => box.width > 0)
+                .map(box => rect(box, padding, 0))
+                .join('');
+        case 'scrim': {
+            const blockBox = layout.extentBox;
+            // 'auto' fades in from whichever edge is closer to the text
+            const fromBottom = scrimPosition === 'bottom' ||
+                (scrimPosition !== 'top' && blockBox.y + blockBox.height / 2 >= imageHeight / 2);
+            // The scrim reaches from the edge to a little past the far side of the text block
+            const height = Math.min(imageHeight, fromBottom
+                ? imageHeight - blockBox.y + padding * 2
+                : blockBox.y + blockBox.height + padding * 2);
+            const textEnd = Math.max(0, Math.min(1, (height - padding * 2) / height));
+            const id = `scrim-${++scrimCounter}`;
+            const stop = (offset, opacity) =>
+                `<stop offset="${offset}" stop-color="${escapeXml(backgroundColor)}" stop-opacity="${opacity}"/>`;
+
+            return `<defs><linearGradient id="${id}" x1="0" y1="${fromBottom ? 1 : 0}" x2="0" y2="${fromBottom ? 0 : 1}">` +
+                stop(0, backgroundOpacity) + stop(textEnd, backgroundOpacity * 0.8) + stop(1, 0) +
+                `</linearGradient></defs>` +
+                `<rect x="0" y="${fromBottom ? imageHeight - height : 0}" width="${imageWidth}" height="${height}" fill="url(#${id})"/>`;
+        }
+        default:
+            return '';
+    }
+}
+
+// Enhanced SVG text element creation with better positioning and styling
+function createTextElements(text, options = {}) {
+    const {
+        fontFamily = 'Arial',
+        fontWeight = 'normal',
+        fontStyle = 'normal',
+        color = '#ffffff',
+        shadowEnabled = true,
+        shadowColor = 'rgba(0,0,0,0.7)',
+        shadowBlur = 4,
+        shadowOffset = 2,
+        strokeEnabled = false,
+        strokeColor = '#000000',
+        strokeWidth = 1
+    } = options;
+
+    // Callers that needed the layout already can pass it in
+    const layout = options.layout || layoutText(text, options);
+    const { fontSize: finalFontSize, x, anchor, direction } = layout;
+
+    // Create paint styling shared by text and outlined glyphs
+    const paintStyle = (fill = color) => {
+        let style = `fill="${escapeXml(fill)}"`;
+
+        if (shadowEnabled) {
+            style += ` style="filter: drop-shadow(${shadowOffset}px ${shadowOffset}px ${shadowBlur}px ${shadowColor});"`;
+        }
+
+        if (strokeEnabled) {
+            style += ` stroke="${strokeColor}" stroke-width="${strokeWidth}"`;
+        }
+        return style;
+    };
+
+    // Create text styling. text-anchor is relative to the direction, so start and end
+    // swap for right-to-left text.
+    const svgAnchor = direction === 'rtl' ? ({ start: 'end', end: 'start' }[anchor] || anchor) : anchor;
+    const directionStyle = direction === 'rtl' ? ' direction="rtl" unicode-bidi="embed"' : '';
+    const familyAttribute = escapeXml(fontFamily);
+    const textStyle = `font-family="${familyAttribute}" font-size="${finalFontSize}" font-weight="${fontWeight}" font-style="${fontStyle}" ${paintStyle()} text-anchor="${svgAnchor}"${directionStyle} dominant-baseline="middle"`;
+
+    // Curved text is drawn glyph by glyph, each one turned to follow the curve
+    const glyphOutlines = (layout.glyphs || []).map(glyph => ({
+        glyph,
+        outline: createTextOutline(glyph.text, finalFontSize, {
+            fontFamily,
+            fontWeight: glyph.bold ? 'bold' : fontWeight,
+            fontStyle: glyph.italic ? 'italic' : fontStyle,
+            x: -glyph.width / 2,
+            y: 0
+        })
+    }));
+    const glyphElements = glyphOutlines.map(({ glyph, outline }) => {
+        const transform = `translate(${glyph.x} ${glyph.y}) rotate(${glyph.angle})`;
+        if (outline) {
+            return `<path transform="${transform}" d="${outline.pathData}" ${paintStyle(glyph.color || color)}/>`;
+        }
+        return `<text transform="${transform}" font-family="${familyAttribute}" font-size="${finalFontSize}" font-weight="${glyph.bold ? 'bold' : fontWeight}" ` +
+            `font-style="${glyph.italic ? 'italic' : fontStyle}" ${paintStyle(glyph.color || color)} text-anchor="middle">${escapeXml(glyph.text)}</text>`;
+    }).join('');
+
+    // Unstyled runs stay plain text, styled runs become tspans
+    const runContent = line => line.map(run => {
+        const attributes = [
+            run.bold ? ' font-weight="bold"' : '',
+            run.italic ? ' font-style="italic"' : '',
+            run.color ? ` fill="${escapeXml(run.color)}"` : ''
+        ].join('');
+        return attributes ? `<tspan${attributes}>${escapeXml(run.text)}</tspan>` : escapeXml(run.text);
+    }).join('');
+
+    // SVG output keeps curved text editable, set along its path with the middle of the
+    // text where the glyphs would be. Registered fonts stay outlined glyphs.
+    const textPathElements = () => {
+        const id = `curve-${++scrimCounter}`;
+        const { middle, length } = layout.textPath;
+        const lengthAttributes = length ? ` textLength="${length}" lengthAdjust="spacing"` : '';
+        return `<defs><path id="${id}" d="${layout.pathData}"/></defs>` +
+            `<text font-family="${familyAttribute}" font-size="${finalFontSize}" font-weight="${fontWeight}" font-style="${fontStyle}" ` +
+            `${paintStyle()} text-anchor="middle"${directionStyle}>` +
+            `<textPath href="#${id}" xlink:href="#${id}" startOffset="${middle}"${lengthAttributes}>${runContent(layout.lines[0])}</textPath></text>`;
+    };
+    const useTextPath = options.vectorText && layout.textPath && !glyphOutlines.some(({ outline }) => outline);
+    const curvedElements = useTextPath ? textPathElements() : glyphElements;
+
+    // Generate text elements
+    const textElements = layout.glyphs ? curvedElements : layout.lines.map((line, index) => {
+        const { x: lineX, baseline: lineY } = layout.lineBoxes[index];
+
+        // Registered fonts are drawn as glyph outlines, one path per styled run. Runs of
+        // right-to-left lines are laid out from the right.
+        let penX = lineX;
+        const outlines = [];
+        for (const run of direction === 'rtl' ? [...line].reverse() : line) {
+            const outline = createTextOutline(run.text, finalFontSize, {
+                fontFamily,
+                fontWeight: run.bold ? 'bold' : fontWeight,
+                fontStyle: run.italic ? 'italic' : fontStyle,
+                x: penX,
+                y: lineY
+            });
+            if (!outline) break;
+            outlines.push(`<path d="${outline.pathData}" ${paintStyle(run.color || color)}/>`);
+            penX += outline.width;
+        }
+        if (line.length && outlines.length === line.length) {
+            return outlines.join('');
+        }
+
+        return `<text x="${x}" y="${lineY}" ${textStyle}>${runContent(line)}</text>`;
+    }).join('');
+
+    // Backgrounds are painted first so the text sits on top. Scrims run to the image
+    // edge, so they stay upright while the text turns.
+    const backgroundElements = createBackgroundElements(layout, options);
+    let elements = backgroundElements + textElements;
+    if (layout.transform) {
+        elements = options.backgroundStyle === 'scrim'
+            ? `${backgroundElements}<g transform="${layout.transform}">${textElements}</g>`
+            : `<g transform="${layout.transform}">${backgroundElements}${textElements}</g>`;
+    }
+
+    if (!layout.clipBox) {
+        return elements;
+    }
+    const { clipBox } = layout;
+    const id = `clip-${++scrimCounter}`;
+    return `<defs><clipPath id="${id}"><rect x="${clipBox.x}" y="${clipBox.y}" width="${clipBox.width}" height="${clipBox.height}"/></clipPath></defs>` +
+        `<g clip-path="url(#${id})">${elements}</g>`;
+}
+
+// Helper function to escape text for SVG markup
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Single text block wrapped in a full-size SVG document
+function createTextSVG(text, options = {}) {
+    const { imageWidth = 800, imageHeight = 600 } = options;
+
+    return `<svg width="${imageWidth}" height="${imageHeight}" xmlns="http://www.w3.org/2000/svg">
+        ${createTextElements(text, options)}
+    </svg>`;
+}
+
+// Several text layers combined into one SVG document, painted in array order
+function createLayeredSVG(layers, imageWidth, imageHeight) {
+    const layerElements = layers
+        .map(layer => `<g>${createTextElements(layer.text, { ...layer, imageWidth, imageHeight })}</g>`)
+        .join('');
+
+    return `<svg width="${imageWidth}" height="${imageHeight}" xmlns="http://www.w3.org/2000/svg">
+        ${layerElements}
+    </svg>`;
+}
+
+// Effort ranges accepted by each Sharp encoder
+const FORMAT_EFFORT_RANGES = {
+    png: [1, 10],
+    webp: [0, 6],
+    gif: [1, 10],
+    avif: [0, 9],
+    heif: [0, 9]
+};
+
+// Encoder parameters. Effort is clamped to the range of the chosen encoder.
+const FORMAT_PARAMS = {
+    quality: { type: 'integer', default: 90, min: 1, max: 100, description: 'Encoder quality (jpeg, webp, avif, heif)' },
+    effort: { type: 'integer', min: 0, max: 10, description: 'Encoder CPU effort (png/gif 1-10, webp 0-6, avif/heif 0-9)' },
+    lossless: { type: 'boolean', default: false, description: 'Lossless encoding (webp, avif, heif)' }
+};
+
+// Helper function to parse per-format encoder options from request parameters
+function parseFormatOptions(params = {}) {
+    return coerceParams(FORMAT_PARAMS, params);
+}
+
+// Helper function to clamp an effort value to the range an encoder supports
+function clampEffort(format, effort) {
+    const range = FORMAT_EFFORT_RANGES[format];
+    if (!range || effort === undefined) return undefined;
+    return Math.min(range[1], Math.max(range[0], effort));
+}
+
+// Helper function to apply Sharp format with appropriate options
+function applySharpFormat(sharpInstance, format, metadata, options = {}) {
+    const sharpFormat = getSharpFormat(format, metadata);
+    const { quality = 90, lossless = false, animation = null } = options;
+    const effort = clampEffort(sharpFormat, options.effort);
+    const effortOption = effort !== undefined ? { effort } : {};
+    // Frame delays and loop count of animated output
+    const animationOptions = animation ? { loop: animation.loop || 0, ...(animation.delay ? { delay: animation.delay } : {}) } : {};
+    
+    switch (sharpFormat) {
+        case 'jpeg':
+            return sharpInstance.jpeg({ quality });
+        case 'png':
+            return sharpInstance.png({ compressionLevel: 6, ...effortOption });
+        case 'webp':
+            return sharpInstance.webp({ quality, lossless, ...effortOption, ...animationOptions });
+        case 'gif':
+            return sharpInstance.gif({ ...effortOption, ...animationOptions });
+        case 'tiff':
+            return sharpInstance.tiff({ compression: 'lzw' });
+        case 'avif':
+            return sharpInstance.avif({ quality, lossless, ...effortOption });
+        case 'heif':
+            return sharpInstance.heif({ quality, lossless, ...effortOption });
+        default:
+            return sharpInstance.png();
+    }
+}
+
+// Helper function to send a rendered image as binary or as a base64 JSON payload
+function sendImageResponse(res, outputBuffer, format, options = {}) {
+    const { returnBase64 = false, negotiated = false, autoColors = [], textOverflow = [] } = options;
+    // Whether any text was cut short by overflow: 'ellipsis' or 'clip'
+    const truncated = textOverflow.some(report => report.truncated);
+    const { mimeType, extension } = OUTPUT_FORMATS[format] || OUTPUT_FORMATS.png;
+
+    if (negotiated) {
+        res.vary('Accept');
+    }
+
+    if (returnBase64) {
+        return res.json({
+            success: true,
+            imageBase64: `data:${mimeType};base64,${outputBuffer.toString('base64')}`,
+            size: outputBuffer.length,
+            format,
+            truncated,
+            ...(autoColors.length ? { autoColors } : {}),
+            ...(textOverflow.length ? { textOverflow } : {})
+        });
+    }
+
+    // Colors picked for color: 'auto' layers, with the contrast they reach
+    if (autoColors.length) {
+        res.set('X-Auto-Color', JSON.stringify(autoColors));
+    }
+
+    // Layers that didn't fit, and what the overflow policy did about it
+    res.set('X-Text-Truncated', String(truncated));
+    if (textOverflow.length) {
+        res.set('X-Text-Overflow', JSON.stringify(textOverflow));
+    }
+
+    res.set({
+        'Content-Type': mimeType,
+        'Content-Length': outputBuffer.length,
+        'Content-Disposition': `attachment; filename="image-with-overlay.${extension}"`
+    });
+    return res.send(outputBuffer);
+}
+
+// Helper function to recognize Sharp errors about the input image itself (not an image,
+// truncated or corrupt data), which are the client's mistake rather than a server failure
+function isImageDecodeError(error) {
+    return /^Input (buffer|file)|unsupported image format|corrupt|premature end|[a-z]+load(_buffer)?:/i.test(error.message || '');
+}
+
+// Helper function to report a route error as JSON. Images Sharp can't decode are
+// reported as 400 like any other invalid input.
+function sendErrorResponse(res, error) {
+    if (error.statusCode) {
+        const body = { error: error.message };
+        if (error.details !== undefined) {
+            body.details = error.details;
+        }
+        return res.status(error.statusCode).json(body);
+    }
+    if (isImageDecodeError(error)) {
+        return res.status(400).json({ error: 'The image could not be decoded', details: error.message });
+    }
+
+    console.error('Error processing image:', error);
+    return res.status(500).json({ error: 'Failed to process image', details: error.message });
+}
+
+// Helper function to decode a base64 image, with or without a data-URI prefix
+function decodeBase64Image(imageBase64) {
+    // Extract format from base64 string if present
+    let declaredFormat = null;
+    const base64Match = imageBase64.match(/^data:image\/([a-zA-Z0-9.+-]+);base64,/);
+    if (base64Match) {
+        declaredFormat = base64Match[1];
+    }
+
+    // Convert base64 to buffer
+    const base64Data = imageBase64.replace(/^data:image\/[a-zA-Z0-9.+-]+;base64,/, '');
+    return { buffer: Buffer.from(base64Data, 'base64'), declaredFormat };
+}
+
+// Helper function to check whether a request names a source image or a canvas
+function hasImageSource(params, file) {
+    return Boolean(file || params.imageBase64 || params.imageUrl || params.canvas);
+}
+
+// Helper function to create the base image in canvas mode. The canvas is a background
+// (see createCanvasImage) or an object with width, height and background; the size may
+// also come from the width/height or preset parameters.
+async function loadCanvasImage(params) {
+    let canvas = params.canvas;
+    if (canvas === true || canvas === 'true') {
+        canvas = {};
+    } else if (typeof canvas === 'string') {
+        canvas = canvas.trim().startsWith('{') ? parseJsonParam(canvas, 'canvas') : { background: canvas };
+    }
+    if (!canvas || typeof canvas !== 'object' || Array.isArray(canvas)) {
+        throw createHttpError(400, 'canvas must be a background color or an object');
+    }
+
+    const { width: canvasWidth, height: canvasHeight, background } = coerceParams(CANVAS_PARAMS, canvas, 'canvas.');
+    const size = coerceParams(RESIZE_PARAMS, params);
+    const preset = SIZE_PRESETS[size.preset] || {};
+    const width = canvasWidth || size.width || preset.width;
+    const height = canvasHeight || size.height || preset.height;
+    if (!width || !height) {
+        throw createHttpError(400, `canvas needs a width and height between 1 and ${MAX_CANVAS_SIZE}, or a preset`);
+    }
+
+    const buffer = await createCanvasImage(background, width, height);
+    return { buffer, declaredFormat: 'png' };
+}
+
+// Helper function to load the source image from an upload, base64 string, URL or canvas
+async function loadSourceImage(params, file) {
+    if (file) {
+        return { buffer: file.buffer, declaredFormat: null };
+    }
+    if (params.imageBase64) {
+        return decodeBase64Image(params.imageBase64);
+    }
+    if (params.imageUrl) {
+        return fetchImage(params.imageUrl);
+    }
+    if (params.canvas) {
+        return loadCanvasImage(params);
+    }
+    throw createHttpError(400, 'An image file, imageBase64, imageUrl or canvas is required');
+}
+
+// Helper function to accept structured parameters as objects (JSON bodies) or
+// JSON strings (multipart and urlencoded bodies)
+function parseJsonParam(value, name) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw createHttpError(400, `${name} must be valid JSON`);
+    }
+}
+
+// Request parameters that describe the request rather than a text layer
+const NON_LAYER_PARAMS = [
+    'text', 'layers', 'images', 'image', 'imageBase64', 'imageUrl', 'canvas', 'outputFormat', 'returnBase64', 'quality', 'effort', 'lossless',
+    'width', 'height', 'fit', 'preset', 'crop', 'resizeBackground', 'metadata', 'colorProfile'
+];
+
+// Helper function to resolve the text layers of a request. A "layers" array (or its
+// JSON string form from multipart bodies) takes precedence; otherwise the flat
+// parameters describe a single layer. Flat styling parameters are inherited by layers.
+// Requests that only overlay images may leave out the text.
+function resolveTextLayers(params) {
+    let { layers } = params;
+
+    if (layers === undefined || layers === '') {
+        if (!params.text && params.images !== undefined && params.images !== '') {
+            return [];
+        }
+        if (!params.text) {
+            throw createHttpError(400, 'Text is required');
+        }
+        parseFrameRange(params.frames, 'frames');
+        return [params];
+    }
+
+    layers = parseJsonParam(layers, 'layers');
+
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw createHttpError(400, 'layers must be a non-empty array');
+    }
+
+    const inherited = { ...params };
+    NON_LAYER_PARAMS.forEach(name => delete inherited[name]);
+
+    const resolved = layers.map((layer, index) => {
+        if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+            throw createHttpError(400, `layers[${index}] must be an object`);
+        }
+        if (!layer.text) {
+            throw createHttpError(400, `layers[${index}].text is required`);
+        }
+        parseFrameRange(layer.frames !== undefined ? layer.frames : inherited.frames, `layers[${index}].frames`);
+        return { ...inherited, ...layer, zIndex: parseInt(layer.zIndex) || 0 };
+    });
+
+    // Stable sort keeps array order for layers with the same zIndex
+    return resolved.sort((a, b) => a.zIndex - b.zIndex);
+}
+
+// Shapes that can be drawn behind a text block
+const BACKGROUND_STYLES = ['none', 'box', 'highlight', 'scrim'];
+
+// Helper function to convert raw layer parameters into createTextSVG options, read and
+// checked through TEXT_PARAMS
+function parseTextOptions(params, metadata) {
+    const options = coerceParams(TEXT_PARAMS, params);
+    const minSide = Math.min(metadata.width, metadata.height);
+
+    // Explicitly requested fonts must exist instead of silently falling back
+    if (params.fontFamily !== undefined) {
+        assertFontFamilyAvailable(options.fontFamily);
+    }
+    // Same for hyphenation languages
+    if (options.hyphenate) {
+        getHyphenator(options.language);
+    }
+    const box = options.textBox !== undefined ? resolveTextBox(options.textBox, metadata) : null;
+    // Custom paths are checked up front so a bad one is reported as a bad request
+    if (options.curve === 'path') {
+        measurePath(options.curvePath);
+    }
+
+    return {
+        text: options.text !== undefined ? options.text : '',
+        fontSize: options.fontSize,
+        fontFamily: options.fontFamily,
+        fontWeight: options.fontWeight,
+        fontStyle: options.fontStyle,
+        color: options.color,
+        // Text in a box lines up with the box anchor unless aligned explicitly
+        textAlign: box && (params.textAlign === undefined || params.textAlign === '') ? box.horizontal : options.textAlign,
+        positionX: options.positionX,
+        positionY: options.positionY,
+        imageWidth: metadata.width,
+        imageHeight: metadata.height,
+        richText: options.richText,
+        direction: options.direction,
+        wrapMode: options.wrapMode,
+        language: options.language,
+        hyphenate: options.hyphenate,
+        rotation: options.rotation,
+        skew: options.skew,
+        curve: options.curve,
+        curveRadius: options.curveRadius || minSide / 2,
+        curvePath: options.curvePath,
+        textBox: box,
+        overflow: options.overflow,
+        maxLines: options.maxLines,
+        autoResize: options.autoResize,
+        maxFontSize: options.maxFontSize || minSide * 0.15,
+        minFontSize: options.minFontSize || Math.max(12, minSide * 0.02),
+        paddingPercent: options.paddingPercent,
+        lineHeightMultiplier: options.lineHeightMultiplier,
+        shadowEnabled: options.shadowEnabled,
+        shadowColor: options.shadowColor,
+        shadowBlur: options.shadowBlur,
+        shadowOffset: options.shadowOffset,
+        strokeEnabled: options.strokeEnabled,
+        strokeColor: options.strokeColor,
+        strokeWidth: options.strokeWidth,
+        backgroundStyle: options.backgroundStyle,
+        backgroundColor: options.backgroundColor,
+        backgroundOpacity: options.backgroundOpacity,
+        backgroundPadding: options.backgroundPadding !== undefined ? options.backgroundPadding : null,
+        backgroundRadius: options.backgroundRadius !== undefined ? options.backgroundRadius : null,
+        backgroundBorderColor: options.backgroundBorderColor,
+        backgroundBorderWidth: options.backgroundBorderWidth,
+        scrimPosition: options.scrimPosition,
+        minContrast: options.minContrast,
+        contrastFallback: options.contrastFallback
+    };
+}
+
+// Output formats that can carry animation
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// Helper function to parse the frames of an animation an overlay is visible on: "3-10",
+// "3-" (to the end), "-10", "5", [3, 10] or { start, end }. Frames count from 0.
+function parseFrameRange(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (Array.isArray(value)) {
+        [start, end] = value;
+    } else if (typeof value === 'object') {
+        ({ start, end } = value);
+    } else {
+        const match = String(value).trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw createHttpError(400, `${label} must be a frame range such as "0-10", "5-" or "3"`);
+        }
+        start = match[1];
+        end = match[2] ? match[3] : match[1];
+    }
+
+    const range = {
+        start: start === undefined || start === '' ? 0 : parseInt(start),
+        end: end === undefined || end === null || end === '' ? null : parseInt(end)
+    };
+    if (isNaN(range.start) || range.start < 0 || (range.end !== null && (isNaN(range.end) || range.end < range.start))) {
+        throw createHttpError(400, `${label} must be a frame range with 0 <= start <= end`);
+    }
+    return range;
+}
+
+// Helper function to repeat composites on every animation frame they are visible on.
+// Animated images are one tall strip of frames, so each copy moves down a page.
+function expandCompositesToFrames(composites, pages, pageHeight) {
+    return composites.flatMap(({ frames, ...composite }) => {
+        const start = frames ? frames.start : 0;
+        const end = frames && frames.end !== null ? Math.min(frames.end, pages - 1) : pages - 1;
+        const copies = [];
+        for (let frame = start; frame <= end; frame++) {
+            copies.push({ ...composite, top: composite.top + frame * pageHeight });
+        }
+        return copies;
+    });
+}
+
+// Image overlay limits and accepted values
+const MAX_IMAGE_OVERLAYS = parseInt(process.env.MAX_IMAGE_OVERLAYS) || 10;
+const IMAGE_ANCHORS = [
+    'top-left', 'top', 'top-right',
+    'left', 'center', 'right',
+    'bottom-left', 'bottom', 'bottom-right'
+];
+const IMAGE_OVERLAY_MODES = ['single', 'tile', 'diagonal'];
+
+// Parameters of each entry of images
+const IMAGE_OVERLAY_PARAMS = {
+    file: { type: 'string', description: 'Field name of another uploaded file. Each image needs exactly one of file, imageBase64, imageUrl or assetId' },
+    imageBase64: { type: 'string', description: 'Base64 image, with or without a data: URI prefix' },
+    imageUrl: { type: 'string', description: 'http(s) URL of the image, fetched server-side' },
+    assetId: { type: 'string', description: 'Id of an asset uploaded with POST /api/assets' },
+    anchor: { type: 'enum', values: IMAGE_ANCHORS, default: 'bottom-right', description: 'Where the image is placed' },
+    mode: { type: 'enum', values: IMAGE_OVERLAY_MODES, default: 'single', description: 'One image, or repeated as a tiled or diagonal watermark' },
+    scale: { type: 'number', default: 0.2, min: 0, max: 1, description: 'Width as a fraction of the image width, greater than 0' },
+    opacity: { type: 'number', default: 1, min: 0, max: 1, description: 'Opacity' },
+    rotation: { type: 'number', defaultText: '-30 for diagonal, otherwise 0', description: 'Rotation in degrees' },
+    margin: { type: 'integer', min: 0, defaultText: '3% of the image', description: 'Distance from the edges in pixels' },
+    spacing: { type: 'number', default: 0.5, min: 0, description: 'Gap between repeats as a fraction of the image size' },
+    zIndex: { type: 'integer', default: 0, description: 'Paint order. Images go below text layers with the same zIndex' },
+    frames: { type: 'json', label: 'String|Array', description: 'Animated GIF/WebP only: frames the image is visible on, e.g. "0-10"' }
+};
+
+// Helper function to split a nine-point anchor such as bottom-right into its vertical
+// and horizontal placement
+function splitAnchor(anchor) {
+    const [vertical, horizontal = 'center'] = ['left', 'right'].includes(anchor)
+        ? ['center', anchor]
+        : anchor.split('-');
+    return { vertical, horizontal };
+}
+
+// Text box anchors: the image anchors plus their top-center style spellings
+const TEXT_BOX_ANCHORS = [...IMAGE_ANCHORS, 'top-center', 'center-left', 'center-right', 'bottom-center'];
+
+// Helper function to read a text box length: pixels as a number or "120px", or a
+// percentage of the image side such as "25%"
+function parseBoxLength(value, total, label) {
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)(px|%)?$/);
+    if (!match) {
+        throw createHttpError(400, `${label} must be a number of pixels or a percentage such as "25%"`);
+    }
+    return match[2] === '%' ? total * parseFloat(match[1]) / 100 : parseFloat(match[1]);
+}
+
+// Helper function to resolve a text box to pixels on the image. x and y give the point
+// of the box named by its anchor, so { x: "50%", y: "90%", anchor: "bottom-center" }
+// is a box whose bottom edge is centered 90% of the way down. The text is aligned to
+// the same point inside the box.
+function resolveTextBox(value, metadata, label = 'textBox') {
+    const box = parseJsonParam(value, label);
+    if (!box || typeof box !== 'object' || Array.isArray(box)) {
+        throw createHttpError(400, `${label} must be an object with x, y, width, height and anchor`);
+    }
+
+    const { x = 0, y = 0, width = '100%', height = '100%', anchor = 'top-left' } = box;
+    if (!TEXT_BOX_ANCHORS.includes(anchor)) {
+        throw createHttpError(400, `${label}.anchor must be one of: ${TEXT_BOX_ANCHORS.join(', ')}`);
+    }
+
+    const resolved = {
+        x: parseBoxLength(x, metadata.width, `${label}.x`),
+        y: parseBoxLength(y, metadata.height, `${label}.y`),
+        width: parseBoxLength(width, metadata.width, `${label}.width`),
+        height: parseBoxLength(height, metadata.height, `${label}.height`)
+    };
+    if (!(resolved.width > 0 && resolved.height > 0)) {
+        throw createHttpError(400, `${label}.width and ${label}.height must be greater than 0`);
+    }
+
+    const { vertical, horizontal } = splitAnchor(anchor);
+    const shift = placement => ['left', 'top'].includes(placement) ? 0 : ['right', 'bottom'].includes(placement) ? 1 : 0.5;
+    return {
+        ...resolved,
+        x: resolved.x - resolved.width * shift(horizontal),
+        y: resolved.y - resolved.height * shift(vertical),
+        horizontal,
+        vertical
+    };
+}
+
+// Helper function to resolve the "images" parameter into validated logo/watermark specs
+function resolveImageOverlays(params) {
+    if (params.images === undefined || params.images === '') {
+        return [];
+    }
+
+    const images = parseJsonParam(params.images, 'images');
+    if (!Array.isArray(images)) {
+        throw createHttpError(400, 'images must be an array');
+    }
+    if (images.length > MAX_IMAGE_OVERLAYS) {
+        throw createHttpError(400, `At most ${MAX_IMAGE_OVERLAYS} images can be overlaid`);
+    }
+
+    return images.map((image, index) => {
+        const label = `images[${index}]`;
+        if (!image || typeof image !== 'object' || Array.isArray(image)) {
+            throw createHttpError(400, `${label} must be an object`);
+        }
+
+        const sources = ['file', 'imageBase64', 'imageUrl', 'assetId'].filter(name => image[name]);
+        if (sources.length !== 1) {
+            throw createHttpError(400, `${label} needs exactly one of file, imageBase64, imageUrl or assetId`);
+        }
+
+        const { anchor, mode, scale, opacity, rotation, margin, spacing, zIndex } = coerceParams(IMAGE_OVERLAY_PARAMS, image, `${label}.`);
+        if (scale === 0) {
+            throw createHttpError(400, 'Invalid parameters', [{ field: `${label}.scale`, message: 'must be greater than 0' }]);
+        }
+
+        return {
+            source: sources[0],
+            value: image[sources[0]],
+            anchor,
+            mode,
+            scale,
+            opacity,
+            rotation: rotation !== undefined ? rotation : mode === 'diagonal' ? -30 : 0,
+            margin: margin !== undefined ? margin : null,
+            spacing,
+            zIndex,
+            frames: parseFrameRange(image.frames, `${label}.frames`)
+        };
+    });
+}
+
+// Helper function to load the image data of an overlay spec
+async function loadOverlayImage(spec, files) {
+    switch (spec.source) {
+        case 'file': {
+            const file = files.find(candidate => candidate.fieldname === String(spec.value));
+            if (!file) {
+                throw createHttpError(400, `No uploaded file named ${spec.value}`);
+            }
+            return file.buffer;
+        }
+        case 'imageBase64':
+            return decodeBase64Image(spec.value).buffer;
+        case 'imageUrl':
+            return (await fetchImage(spec.value)).buffer;
+        default:
+            return readAsset(spec.value);
+    }
+}
+
+// Helper function to scale an overlay image relative to the base image width and fade it
+async function prepareOverlayImage(buffer, spec, metadata, rotation) {
+    let image = sharp(buffer)
+        .rotate()
+        .resize({ width: Math.max(1, Math.round(metadata.width * spec.scale)) })
+        .ensureAlpha();
+
+    if (rotation) {
+        image = sharp(await image.png().toBuffer())
+            .rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    }
+
+    let { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+
+    // Sharp refuses to composite an image larger than the base
+    if (info.width > metadata.width || info.height > metadata.height) {
+        ({ data, info } = await sharp(data)
+            .resize({ width: metadata.width, height: metadata.height, fit: 'inside' })
+            .png()
+            .toBuffer({ resolveWithObject: true }));
+    }
+
+    if (spec.opacity < 1) {
+        data = await sharp(data)
+            .composite([{
+                input: { create: { width: info.width, height: info.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: spec.opacity } } },
+                blend: 'dest-in'
+            }])
+            .png()
+            .toBuffer();
+    }
+
+    return { data, width: info.width, height: info.height };
+}
+
+// Build the composite entry of one logo or watermark
+async function createImageComposite(spec, metadata, files) {
+    const buffer = await loadOverlayImage(spec, files);
+
+    if (spec.mode === 'single') {
+        const image = await prepareOverlayImage(buffer, spec, metadata, spec.rotation);
+        const margin = spec.margin !== null ? spec.margin : Math.round(Math.min(metadata.width, metadata.height) * 0.03);
+
+        const { vertical, horizontal } = splitAnchor(spec.anchor);
+        const position = (placement, size, total) => {
+            if (placement === 'top' || placement === 'left') return margin;
+            if (placement === 'bottom' || placement === 'right') return total - size - margin;
+            return Math.round((total - size) / 2);
+        };
+
+        return {
+            input: image.data,
+            left: Math.min(Math.max(0, position(horizontal, image.width, metadata.width)), metadata.width - image.width),
+            top: Math.min(Math.max(0, position(vertical, image.height, metadata.height)), metadata.height - image.height)
+        };
+    }
+
+    // Repeating watermarks: pad the image by the spacing and tile it. Tiles are rotated
+    // individually, diagonal patterns are rotated as a whole.
+    const image = await prepareOverlayImage(buffer, spec, metadata, spec.mode === 'tile' ? spec.rotation : 0);
+    const gap = Math.round(Math.max(image.width, image.height) * spec.spacing / 2);
+    const tile = await sharp(image.data)
+        .extend({ top: gap, bottom: gap, left: gap, right: gap, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+
+    // The diagonal pattern is tiled over a square covering the image at any angle
+    const side = spec.mode === 'diagonal'
+        ? Math.ceil(Math.hypot(metadata.width, metadata.height))
+        : null;
+    const canvasWidth = side || metadata.width;
+    const canvasHeight = side || metadata.height;
+
+    let pattern = await sharp({
+        create: { width: canvasWidth, height: canvasHeight, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    })
+        .composite([{ input: tile, tile: true, left: 0, top: 0 }])
+        .png()
+        .toBuffer();
+
+    if (spec.mode === 'diagonal') {
+        const rotated = await sharp(pattern)
+            .rotate(spec.rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer({ resolveWithObject: true });
+        pattern = await sharp(rotated.data)
+            .extract({
+                left: Math.floor((rotated.info.width - metadata.width) / 2),
+                top: Math.floor((rotated.info.height - metadata.height) / 2),
+                width: metadata.width,
+                height: metadata.height
+            })
+            .png()
+            .toBuffer();
+    }
+
+    return { input: pattern, left: 0, top: 0 };
+}
+
+// Resolve color: 'auto' for one text layer from the region of the base image (a Sharp
+// instance) under its laid out text. Returns the adjusted options and the choice made.
+async function resolveAutoColor(options, image, metadata) {
+    const layout = layoutText(options.text, options);
+    const sample = await sampleRegion(image, layout.extentBox, metadata);
+    const choice = chooseTextColor(sample, { minContrast: options.minContrast, fallback: options.contrastFallback });
+
+    const resolved = { ...options, color: choice.color };
+    if (choice.strategy === 'stroke') {
+        resolved.strokeEnabled = true;
+        resolved.strokeColor = choice.strokeColor;
+        resolved.strokeWidth = Math.max(options.strokeWidth, Math.round(layout.fontSize / 15));
+    } else if (choice.strategy === 'scrim') {
+        // A requested background shape is kept, otherwise a box goes behind the text
+        resolved.backgroundStyle = options.backgroundStyle === 'none' ? 'box' : options.backgroundStyle;
+        resolved.backgroundColor = choice.scrimColor;
+        resolved.backgroundOpacity = choice.scrimOpacity;
+    }
+    return { options: resolved, choice };
+}
+
+// Build the composite list for text layers and overlay images in zIndex order. Images
+// go below text layers with the same zIndex; consecutive text layers share one SVG.
+// Layers with color: 'auto' are sampled against the base image. Each composite keeps
+// the frame range it is visible on. Layers that didn't fit are reported in textOverflow.
+async function createOverlayComposites(layers, images, metadata, context = {}) {
+    const { baseImage, files = [], vectorText = false } = context;
+    const autoColors = [];
+    const textOverflow = [];
+    const entries = [
+        ...images.map(spec => ({ zIndex: spec.zIndex, image: spec })),
+        ...layers.map((layer, index) => ({ zIndex: layer.zIndex || 0, layer: { ...layer, index } }))
+    ].sort((a, b) => a.zIndex - b.zIndex);
+
+    // Text layers shown on different animation frames can't share an SVG
+    const groups = [];
+    for (const entry of entries) {
+        const last = groups[groups.length - 1];
+        if (entry.layer) {
+            const frames = parseFrameRange(entry.layer.frames, `layers[${entry.layer.index}].frames`);
+            if (last && last.layers && JSON.stringify(last.frames) === JSON.stringify(frames)) {
+                last.layers.push(entry.layer);
+            } else {
+                groups.push({ layers: [entry.layer], frames });
+            }
+        } else {
+            groups.push({ image: entry.image });
+        }
+    }
+
+    const composites = await Promise.all(groups.map(async group => {
+        if (group.image) {
+            return { ...await createImageComposite(group.image, metadata, files), frames: group.image.frames };
+        }
+
+        const layerOptions = await Promise.all(group.layers.map(async layer => {
+            let options = parseTextOptions(layer, metadata);
+            if (options.color === 'auto') {
+                const resolved = await resolveAutoColor(options, baseImage(), metadata);
+                autoColors.push({ layer: layer.index, ...resolved.choice });
+                options = resolved.options;
+            }
+
+            const layout = layoutText(options.text, options);
+            if (layout.overflow) {
+                textOverflow.push({ layer: layer.index, ...layout.overflow });
+            }
+            return { ...options, layout, vectorText };
+        }));
+
+        const svg = createLayeredSVG(layerOptions, metadata.width, metadata.height);
+        return { input: Buffer.from(svg), top: 0, left: 0, frames: group.frames };
+    }));
+
+    return {
+        composites,
+        autoColors: autoColors.sort((a, b) => a.layer - b.layer),
+        textOverflow: textOverflow.sort((a, b) => a.layer - b.layer)
+    };
+}
+
+// Named canvas sizes for common platforms
+const SIZE_PRESETS = {
+    'instagram-post': { width: 1080, height: 1080 },
+    'instagram-portrait': { width: 1080, height: 1350 },
+    'story': { width: 1080, height: 1920 },
+    'og-image': { width: 1200, height: 630 },
+    'twitter-post': { width: 1600, height: 900 },
+    'youtube-thumbnail': { width: 1280, height: 720 }
+};
+
+// Resize fits and crop positions accepted by the resize parameters
+const RESIZE_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const CROP_POSITIONS = {
+    center: 'centre',
+    top: 'top',
+    bottom: 'bottom',
+    left: 'left',
+    right: 'right',
+    attention: sharp.strategy.attention,
+    entropy: sharp.strategy.entropy
+};
+const MAX_CANVAS_SIZE = parseInt(process.env.MAX_CANVAS_SIZE) || 8000;
+
+// Resize parameters, applied before overlaying
+const RESIZE_PARAMS = {
+    width: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, description: 'Resize the image to this width before overlaying. Text is laid out on the resized canvas' },
+    height: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, description: 'Resize the image to this height before overlaying. With only one of width or height the aspect ratio is kept' },
+    fit: { type: 'enum', values: RESIZE_FITS, default: 'cover', description: 'How the image fits width and height' },
+    crop: { type: 'enum', values: Object.keys(CROP_POSITIONS), default: 'center', description: 'What cover keeps when cropping. attention keeps the most salient region, entropy the most detailed one' },
+    preset: { type: 'enum', values: Object.keys(SIZE_PRESETS), description: `Named size: ${Object.entries(SIZE_PRESETS).map(([name, size]) => `${name} (${size.width}x${size.height})`).join(', ')}` },
+    resizeBackground: { type: 'json', label: 'String|Object', default: { r: 0, g: 0, b: 0, alpha: 0 }, defaultText: 'transparent', description: 'Color of the bars added by fit: contain' }
+};
+
+// Fields of a canvas object
+const CANVAS_PARAMS = {
+    width: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, defaultText: 'width, or the preset width', description: 'Canvas width in pixels' },
+    height: { type: 'integer', min: 1, max: MAX_CANVAS_SIZE, defaultText: 'height, or the preset height', description: 'Canvas height in pixels' },
+    background: { type: 'json', label: 'String|Object', default: '#000000', description: 'A color, or { type: solid|linear|radial|pattern, color, colors, angle, centerX, centerY, radius, pattern: dots|stripes|grid|checkerboard, backgroundColor, size }' }
+};
+
+// Helper function to work out the canvas an image is resized to before overlaying, from
+// width/height/fit or a preset. Returns null when the image keeps its size.
+function resolveResize(params, metadata) {
+    const { preset, fit, crop, resizeBackground, ...size } = coerceParams(RESIZE_PARAMS, params);
+    // Explicit dimensions override the preset's
+    const width = size.width || (preset ? SIZE_PRESETS[preset].width : null);
+    const height = size.height || (preset ? SIZE_PRESETS[preset].height : null);
+    if (width === null && height === null) {
+        return null;
+    }
+
+    // Text is laid out on the final canvas, so its exact size has to be known up front.
+    // Fits that keep the aspect ratio are resolved here and resized with 'fill'.
+    const aspect = metadata.width / metadata.height;
+    let canvasWidth = width;
+    let canvasHeight = height;
+    let resizeFit = fit;
+
+    if (width === null || height === null) {
+        canvasWidth = width || Math.round(height * aspect);
+        canvasHeight = height || Math.round(width / aspect);
+        resizeFit = 'fill';
+    } else if (fit === 'inside' || fit === 'outside') {
+        const scale = (fit === 'inside' ? Math.min : Math.max)(width / metadata.width, height / metadata.height);
+        canvasWidth = Math.round(metadata.width * scale);
+        canvasHeight = Math.round(metadata.height * scale);
+        resizeFit = 'fill';
+    }
+
+    if (canvasWidth > MAX_CANVAS_SIZE || canvasHeight > MAX_CANVAS_SIZE) {
+        throw createHttpError(400, `The resized image would exceed ${MAX_CANVAS_SIZE} pixels on a side`);
+    }
+
+    return {
+        width: Math.max(1, canvasWidth),
+        height: Math.max(1, canvasHeight),
+        fit: resizeFit,
+        position: CROP_POSITIONS[crop],
+        background: resizeBackground
+    };
+}
+
+// Helper function to compose the overlay as one SVG document for editing or print. The
+// base image is embedded (PNG when it has transparency, otherwise JPEG), text layers stay
+// vector and logos and watermarks are embedded as the PNGs they were rendered to.
+// Animated images contribute their first frame.
+async function createSvgDocument(baseImage, composites, metadata, quality = 90) {
+    const { width, height } = metadata;
+    const dataUri = (buffer, mimeType) => `data:${mimeType};base64,${buffer.toString('base64')}`;
+    const imageElement = (buffer, mimeType, box) =>
+        `<image x="${box.left}" y="${box.top}" width="${box.width}" height="${box.height}" ` +
+        `preserveAspectRatio="none" xlink:href="${dataUri(buffer, mimeType)}"/>`;
+
+    const background = metadata.hasAlpha
+        ? imageElement(await baseImage.png().toBuffer(), 'image/png', { left: 0, top: 0, width, height })
+        : imageElement(await baseImage.jpeg({ quality }).toBuffer(), 'image/jpeg', { left: 0, top: 0, width, height });
+
+    const overlays = await Promise.all(composites.map(async ({ input, top, left }) => {
+        // Text layers are composited as SVG already and are nested as they are
+        const markup = input.toString('utf8', 0, 4) === '<svg' ? input.toString('utf8') : null;
+        if (markup) {
+            return markup;
+        }
+        const { width: overlayWidth, height: overlayHeight } = await sharp(input).metadata();
+        return imageElement(input, 'image/png', { left, top, width: overlayWidth, height: overlayHeight });
+    }));
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+${background}
+${overlays.join('\n')}
+</svg>`;
+    return Buffer.from(svg);
+}
+
+// Composite all text layers and overlay images onto the image in a single Sharp pass and encode the result.
+// Resizing happens in the same pass, with every overlay laid out on the resized canvas.
+async function renderOverlay(imageBuffer, layers, params, context = {}) {
+    const { sourceFormat, req = null, files = [] } = context;
+    const metadataOptions = parseMetadataOptions(params);
+
+    // Get image metadata, with the dimensions of the canvas after turning the image
+    // upright by its EXIF orientation and resizing. Heights are per frame for animated images.
+    const sourceMetadata = orientedMetadata(await sharp(imageBuffer).metadata());
+    const resize = resolveResize(params, sourceMetadata);
+    const metadata = resize ? { ...sourceMetadata, width: resize.width, height: resize.height } : sourceMetadata;
+    const baseImage = (options = {}) => {
+        let image = sharp(imageBuffer, options);
+        if (sourceMetadata.orientation > 1) {
+            image = image.rotate();
+        }
+        return resize ? image.resize(resize) : image;
+    };
+
+    // Determine output format
+    const { format, negotiated } = resolveOutputFormat(
+        params.outputFormat, detectImageFormat(imageBuffer) || sourceFormat || metadata.format, metadata, req
+    );
+
+    // Animated GIF and WebP keep every frame when the output format can be animated too;
+    // other formats (svg included) get the first frame
+    const animated = sourceMetadata.pages > 1 && ANIMATED_FORMATS.includes(getSharpFormat(format, metadata));
+    if (animated && resize && typeof resize.position === 'number') {
+        throw createHttpError(400, 'crop attention and entropy are not supported for animated images, use center, top, bottom, left or right');
+    }
+
+    // Text layers become SVGs, logos and watermarks are scaled and placed. Automatic
+    // colors are sampled from the first frame.
+    const { composites, autoColors, textOverflow } = await createOverlayComposites(layers, resolveImageOverlays(params), metadata, {
+        baseImage,
+        files,
+        vectorText: format === 'svg'
+    });
+
+    if (format === 'svg') {
+        const { quality } = parseFormatOptions(params);
+        const outputBuffer = await createSvgDocument(baseImage(), composites, metadata, quality);
+        return { outputBuffer, format, negotiated, autoColors, textOverflow };
+    }
+
+    // Composite image with every overlay and apply format
+    let sharpInstance = baseImage({ animated }).composite(animated
+        ? expandCompositesToFrames(composites, sourceMetadata.pages, metadata.height)
+        : composites.map(({ frames, ...composite }) => composite));
+
+    sharpInstance = applyMetadataOptions(sharpInstance, sourceMetadata, metadataOptions);
+    sharpInstance = applySharpFormat(sharpInstance, format, metadata, {
+        ...parseFormatOptions(params),
+        animation: animated ? { loop: sourceMetadata.loop, delay: sourceMetadata.delay } : null
+    });
+    const outputBuffer = await sharpInstance.toBuffer();
+
+    return { outputBuffer, format, negotiated, autoColors, textOverflow };
+}
+
+// Color parameters: hex, names and rgb()/hsl() functions
+const COLOR_PARAM = {
+    type: 'string',
+    pattern: MARKUP_COLOR_PATTERN,
+    patternMessage: 'must be a color such as #ffffff, white or rgba(0,0,0,0.5)'
+};
+const FONT_WEIGHT_PATTERN = /^(normal|bold|bolder|lighter|[1-9]00)$/;
+const OUTPUT_FORMAT_NAMES = ['auto', 'jpeg', 'jpg', 'png', 'webp', 'gif', 'tiff', 'tif', 'bmp', 'avif', 'heif', 'heic', 'svg'];
+
+// Text layer parameters, accepted flat for a single layer or per entry of layers
+const TEXT_PARAMS = {
+    text: { type: 'string', requirement: 'required unless layers is given', description: 'Text to overlay (supports \\n for line breaks)' },
+    frames: { type: 'json', label: 'String|Array', description: 'Animated GIF/WebP only: frames the text is visible on, e.g. "0-10", "5-" or [5, 20], counting from 0. Also accepted per layer and per image' },
+    zIndex: { type: 'integer', default: 0, description: 'Paint order of the layer, higher on top. Images go below text layers with the same zIndex' },
+    fontSize: { type: 'integer', default: 32, min: 1, description: 'Base font size in pixels' },
+    fontFamily: { type: 'string', default: 'sans-serif', description: 'Font family, uploaded or installed, or a generic family. Arial, Helvetica, Times and Courier are always accepted and fall back to a metric-compatible face. Unknown families are rejected unless a CSS fallback list names a usable one' },
+    fontWeight: { type: 'string', default: 'normal', pattern: FONT_WEIGHT_PATTERN, patternMessage: 'must be normal, bold, bolder, lighter or 100-900', description: 'Font weight: normal, bold or 100-900' },
+    fontStyle: { type: 'enum', values: ['normal', 'italic'], default: 'normal', description: 'Font style' },
+    richText: { type: 'boolean', default: false, description: 'Enable inline markup: **bold**, *italic* and <color=#ff0>colored</color>. Backslash escapes a marker' },
+    color: { ...COLOR_PARAM, default: '#ffffff', description: 'Text color in hex, or auto to pick white or black from the image under the text. The choice and its WCAG contrast are reported in the X-Auto-Color header (autoColors in JSON responses)' },
+    minContrast: { type: 'number', default: DEFAULT_MIN_CONTRAST, min: 1, max: 21, description: 'Contrast ratio color: auto must reach' },
+    contrastFallback: { type: 'enum', values: ['scrim', 'stroke'], default: 'scrim', description: 'What color: auto adds when neither white nor black reaches minContrast: scrim (a box behind the text, opacity as low as possible) or stroke (an outline in the opposite color)' },
+    textAlign: { type: 'enum', values: ['left', 'center', 'right', 'start', 'end'], default: 'center', description: 'Text alignment. start and end follow the text direction; text in a textBox lines up with its anchor by default' },
+    direction: { type: 'enum', values: ['auto', 'ltr', 'rtl'], default: 'auto', description: 'Text direction. auto picks rtl when the first letter is Hebrew, Arabic or another right-to-left script' },
+    wrapMode: { type: 'enum', values: WRAP_MODES, default: 'greedy', description: 'Line filling. balanced evens out line lengths so the last line is not left with one word' },
+    hyphenate: { type: 'boolean', default: true, description: 'Break words too long for a line at dictionary hyphenation points. false breaks them at any character' },
+    language: { type: 'string', default: DEFAULT_LANGUAGE, description: 'Language of the text for hyphenation, e.g. en-gb, de, fr, es, nl' },
+    rotation: { type: 'number', default: 0, description: 'Rotate the text block clockwise by this many degrees around its center' },
+    skew: { type: 'number', default: 0, min: -60, max: 60, description: 'Slant the text block horizontally by this many degrees' },
+    curve: { type: 'enum', values: TEXT_CURVES, default: 'none', description: 'Set the text on one line along a curve. arc centers it on the top of a circle, circle spreads it around the whole circle, path follows curvePath' },
+    curveRadius: { type: 'number', defaultText: 'half the smaller image side', description: 'Circle radius in pixels for arc and circle. Negative radii set the text along the bottom of the circle' },
+    curvePath: { type: 'string', requirement: 'required for curve=path', description: 'SVG path data in image pixels, e.g. "M 100 400 Q 400 100 700 400". textAlign sets where along the path the text goes' },
+    positionX: { type: 'number', default: 50, description: 'Horizontal position (0-100%)' },
+    positionY: { type: 'number', default: 50, description: 'Vertical position (0-100%)' },
+    textBox: { type: 'json', label: 'Object', description: 'Box the text is fitted into instead of the image minus paddingPercent: { x, y, width, height, anchor }. Lengths are pixels or percentages like "25%"; x/y is the box point named by anchor (top-left|top|top-right|left|center|right|bottom-left|bottom|bottom-right, or top-center style names), and the text is aligned to that point. Overrides positionX, positionY and paddingPercent' },
+    overflow: { type: 'enum', values: TEXT_OVERFLOW_POLICIES, default: 'visible', description: 'What to do when the text does not fit at minFontSize. shrink goes below minFontSize, ellipsis cuts the text to maxLines with "…", clip hides what runs past the text box or padding, error responds 422 with the measured overflow. X-Text-Truncated (truncated in JSON) says whether text was cut; X-Text-Overflow (textOverflow) lists the layers that did not fit' },
+    maxLines: { type: 'integer', default: 10, min: 1, description: 'Most lines the text may wrap onto before it counts as overflowing' },
+    autoResize: { type: 'boolean', default: true, description: 'Auto-resize text to fit image' },
+    maxFontSize: { type: 'integer', min: 1, defaultText: 'auto-calculated', description: 'Maximum font size' },
+    minFontSize: { type: 'integer', min: 1, defaultText: 'auto-calculated', description: 'Minimum font size' },
+    paddingPercent: { type: 'integer', default: 10, min: 0, max: 49, description: 'Padding on every edge as a percentage of the shorter image side' },
+    lineHeightMultiplier: { type: 'number', default: 1.3, min: 0.1, description: 'Line height multiplier' },
+    shadowEnabled: { type: 'boolean', default: true, description: 'Enable text shadow' },
+    shadowColor: { ...COLOR_PARAM, default: 'rgba(0,0,0,0.7)', description: 'Shadow color' },
+    shadowBlur: { type: 'integer', default: 4, min: 0, description: 'Shadow blur radius' },
+    shadowOffset: { type: 'integer', default: 2, description: 'Shadow offset distance' },
+    strokeEnabled: { type: 'boolean', default: false, description: 'Enable text stroke' },
+    strokeColor: { ...COLOR_PARAM, default: '#000000', description: 'Stroke color' },
+    strokeWidth: { type: 'integer', default: 1, min: 0, description: 'Stroke width' },
+    backgroundStyle: { type: 'enum', values: BACKGROUND_STYLES, default: 'none', description: 'Shape behind the text: box (rounded rectangle around the block), highlight (one bar per line) or scrim (gradient from the top or bottom edge)' },
+    backgroundColor: { ...COLOR_PARAM, default: '#000000', description: 'Background color' },
+    backgroundOpacity: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Background opacity' },
+    backgroundPadding: { type: 'integer', min: 0, defaultText: '0.4 × font size', description: 'Padding around the text in pixels' },
+    backgroundRadius: { type: 'integer', min: 0, defaultText: '0.25 × font size', description: 'Corner radius of boxes and bars' },
+    backgroundBorderColor: { ...COLOR_PARAM, default: '#ffffff', description: 'Border color of boxes and bars' },
+    backgroundBorderWidth: { type: 'integer', default: 0, min: 0, description: 'Border width of boxes and bars' },
+    scrimPosition: { type: 'enum', values: ['auto', 'top', 'bottom'], default: 'auto', description: 'Edge the scrim fades in from, auto for the one nearest to the text' }
+};
+
+// Parameters of a render that are not part of a text layer
+const RENDER_PARAMS = {
+    image: { type: 'file', requirement: 'required unless imageBase64, imageUrl or canvas is given', description: 'Image file to overlay' },
+    imageBase64: { type: 'string', description: 'Base64 image to overlay, with or without a data: URI prefix' },
+    imageUrl: { type: 'string', description: 'http(s) URL of the image to overlay, fetched server-side. Private and loopback addresses are blocked unless IMAGE_FETCH_ALLOWLIST permits them' },
+    canvas: { type: 'json', label: 'String|Object|JSON string', properties: CANVAS_PARAMS, description: 'Render without an input image. A background color, or { width, height, background }. width and height may also come from the width/height or preset parameters' },
+    layers: { type: 'json', label: 'Array|JSON string', items: TEXT_PARAMS, description: 'Independent text layers, each with its own text and any of the text options. Unset options inherit the flat parameters; optional zIndex controls paint order' },
+    images: { type: 'json', label: 'Array|JSON string', items: IMAGE_OVERLAY_PARAMS, description: `Logos and watermarks (at most ${MAX_IMAGE_OVERLAYS}), each with one of file, imageBase64, imageUrl or assetId, plus placement options` },
+    outputFormat: { type: 'enum', values: OUTPUT_FORMAT_NAMES, ignoreCase: true, default: 'auto', description: 'Output format. auto keeps the source format, or negotiates from the Accept header. svg returns a vector document with the base image embedded and the text kept as text (or outlines for uploaded fonts), for editing or print' },
+    ...RESIZE_PARAMS,
+    ...FORMAT_PARAMS,
+    metadata: { type: 'json', label: 'String|Array', default: 'strip', description: `EXIF, IPTC and XMP of the source: ${METADATA_MODES.join(' or ')}, or the EXIF groups to keep (${Object.keys(EXIF_GROUPS).join('|')}), e.g. "copyright,datetime". A selection drops everything else, location included. Photos are always turned upright by their EXIF orientation first` },
+    colorProfile: { type: 'enum', values: COLOR_PROFILES, default: 'srgb', description: 'Embedded color profiles. srgb converts Display P3, Adobe RGB or CMYK sources to sRGB and tags the output as sRGB; preserve keeps the source profile and its pixel values. CMYK is always converted' }
+};
+
+// Everything /api/overlay accepts
+const OVERLAY_PARAMS = { ...RENDER_PARAMS, ...TEXT_PARAMS };
+
+// Check the request and text layer parameters of a render against their schemas,
+// reporting every invalid field at once
+function validateRenderParams(params) {
+    const errors = [...checkParams(RENDER_PARAMS, params), ...checkParams(TEXT_PARAMS, params)];
+
+    // Entries of layers and images; malformed lists are reported by resolveTextLayers
+    // and resolveImageOverlays
+    for (const [name, schema] of [['layers', TEXT_PARAMS], ['images', IMAGE_OVERLAY_PARAMS]]) {
+        let entries = null;
+        try {
+            entries = parseJsonParam(params[name], name);
+        } catch (error) {
+            entries = null;
+        }
+        if (Array.isArray(entries)) {
+            entries.forEach((entry, index) => {
+                if (entry && typeof entry === 'object') {
+                    errors.push(...checkParams(schema, entry, `${name}[${index}].`));
+                }
+            });
+        }
+    }
+
+    if (errors.length) {
+        throw createHttpError(400, 'Invalid parameters', errors);
+    }
+}
+
+// Template fields that are not part of the stored layout
+const TEMPLATE_META_FIELDS = [
+    'name', 'description', 'backgroundImageBase64', 'backgroundImageUrl',
+    'image', 'imageBase64', 'imageUrl', 'returnBase64', 'variables', 'version'
+];
+
+// Helper function to check one layer of a template; values holding placeholders
+// are only checked once they are filled at render time
+function validateTemplateLayer(layer, label, errors) {
+    const hasPlaceholder = value => findPlaceholders(value).size > 0;
+
+    checkParams(TEXT_PARAMS, layer, `${label}.`, { skip: hasPlaceholder })
+        .forEach(error => errors.push(`${error.field} ${error.message}`));
+
+    // Percentages resolve against the image at render time, any size will do for checking
+    if (layer.textBox !== undefined && !hasPlaceholder(layer.textBox)) {
+        try {
+            resolveTextBox(layer.textBox, { width: 100, height: 100 }, `${label}.textBox`);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (layer.language !== undefined && !hasPlaceholder(layer.language)) {
+        try {
+            getHyphenator(layer.language);
+        } catch (error) {
+            errors.push(`${label}.language: ${error.message}`);
+        }
+    }
+
+    if (layer.fontFamily !== undefined && !hasPlaceholder(layer.fontFamily)) {
+        try {
+            assertFontFamilyAvailable(layer.fontFamily);
+        } catch (error) {
+            errors.push(`${label}.fontFamily: ${error.message}`);
+        }
+    }
+}
+
+// Validate a template body and turn it into store fields. Throws a 400 listing every problem.
+async function parseTemplateBody(body) {
+    const errors = [];
+
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        errors.push('name is required');
+    }
+
+    const definition = { ...body };
+    TEMPLATE_META_FIELDS.forEach(name => delete definition[name]);
+
+    try {
+        definition.layers = definition.layers !== undefined ? parseJsonParam(definition.layers, 'layers') : undefined;
+        resolveTextLayers(definition).forEach((layer, index) => {
+            validateTemplateLayer(layer, definition.layers ? `layers[${index}]` : 'text', errors);
+        });
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    try {
+        if (definition.images !== undefined) {
+            definition.images = parseJsonParam(definition.images, 'images');
+            if (!findPlaceholders(definition.images).size) {
+                resolveImageOverlays(definition);
+            }
+        }
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    checkParams(RENDER_PARAMS, definition, '', { skip: value => findPlaceholders(value).size > 0 })
+        .forEach(error => errors.push(`${error.field} ${error.message}`));
+
+    if (!findPlaceholders([definition.metadata, definition.colorProfile]).size) {
+        try {
+            parseMetadataOptions(definition);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length) {
+        throw createHttpError(400, 'Invalid template', errors);
+    }
+
+    // A fixed background image is fetched or decoded once and stored with the version
+    let background;
+    if (body.backgroundImageBase64 === null || body.backgroundImageUrl === null) {
+        background = null;
+    } else if (body.backgroundImageBase64 || body.backgroundImageUrl) {
+        const source = body.backgroundImageBase64
+            ? decodeBase64Image(body.backgroundImageBase64)
+            : await fetchImage(body.backgroundImageUrl);
+        try {
+            await sharp(source.buffer).metadata();
+        } catch (error) {
+            throw createHttpError(400, 'Invalid template', ['background image is not a readable image']);
+        }
+        background = { buffer: source.buffer, format: detectImageFormat(source.buffer) || source.declaredFormat };
+    }
+
+    if (definition.layers === undefined) {
+        delete definition.layers;
+    }
+
+    return {
+        name: body.name.trim(),
+        description: body.description,
+        definition,
+        background
+    };
+}
+
+// Validate a request, load its image and render it. Shared by the overlay routes and batch items.
+async function renderRequest(params, context = {}) {
+    const { file = null, files = [], req = null } = context;
+
+    if (!hasImageSource(params, file)) {
+        throw createHttpError(400, 'An image file, imageBase64, imageUrl or canvas is required');
+    }
+
+    validateRenderParams(params);
+    const layers = resolveTextLayers(params);
+    resolveImageOverlays(params);
+
+    const { buffer: imageBuffer, declaredFormat } = await loadSourceImage(params, file);
+
+    return renderOverlay(imageBuffer, layers, params, { sourceFormat: declaredFormat, req, files });
+}
+
+// API endpoint for image overlay with file upload. Logos and watermarks can be
+// uploaded alongside the image under any other field name.
+app.post('/api/overlay', upload.any(), async (req, res) => {
+    try {
+        const files = req.files || [];
+        const file = files.find(candidate => candidate.fieldname === 'image') || null;
+        const { outputBuffer, format, negotiated, autoColors, textOverflow } = await renderRequest(req.body, { file, files, req });
+
+        sendImageResponse(res, outputBuffer, format, { negotiated, autoColors, textOverflow });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// API endpoint for image overlay with base64 or URL input
+app.post('/api/overlay-base64', async (req, res) => {
+    try {
+        const { imageBase64, imageUrl, canvas, returnBase64 = false } = req.body;
+
+        if (!imageBase64 && !imageUrl && !canvas) {
+            return res.status(400).json({ error: 'imageBase64, imageUrl or canvas is required' });
+        }
+
+        const wantsBase64 = returnBase64 === 'true' || returnBase64 === true;
+        const { outputBuffer, format, negotiated, autoColors, textOverflow } = await renderRequest(req.body, { req: wantsBase64 ? null : req });
+
+        sendImageResponse(res, outputBuffer, format, { returnBase64: wantsBase64, negotiated, autoColors, textOverflow });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Helper function to work out the canvas a layout request is laid out on: the source
+// image after resizing when one is given, otherwise width and height or a preset
+async function resolveLayoutCanvas(params, file) {
+    if (hasImageSource(params, file)) {
+        const { buffer } = await loadSourceImage(params, file);
+        const sourceMetadata = orientedMetadata(await sharp(buffer).metadata());
+        const resize = resolveResize(params, sourceMetadata);
+        return resize ? { ...sourceMetadata, width: resize.width, height: resize.height } : sourceMetadata;
+    }
+
+    const size = coerceParams(RESIZE_PARAMS, params);
+    const preset = SIZE_PRESETS[size.preset] || {};
+    const width = size.width || preset.width;
+    const height = size.height || preset.height;
+    if (!width || !height) {
+        throw createHttpError(400, `Without an image, a width and height between 1 and ${MAX_CANVAS_SIZE} (or a preset) are required`);
+    }
+    return { width, height };
+}
+
+// Helper function to describe a laid out text layer: the font size, the wrapped lines
+// with their boxes, the block and where it ends up once transformed, and the overflow
+function describeLayout(layout, index) {
+    const round = value => Math.round(value * 100) / 100;
+    const roundBox = box => box ? { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) } : null;
+
+    return {
+        layer: index,
+        fontSize: layout.fontSize,
+        lineHeight: round(layout.lineHeight),
+        direction: layout.direction,
+        lines: layout.lines.map((line, lineIndex) => {
+            const box = layout.lineBoxes[lineIndex];
+            return box
+                ? { text: lineText(line), box: roundBox(box), baseline: round(box.baseline) }
+                : { text: lineText(line) };
+        }),
+        blockBox: roundBox(layout.blockBox),
+        extentBox: roundBox(layout.extentBox),
+        transform: layout.transform || null,
+        // Curved text is placed letter by letter along the path
+        ...(layout.glyphs ? {
+            path: layout.pathData,
+            glyphs: layout.glyphs.map(glyph => ({ text: glyph.text, x: round(glyph.x), y: round(glyph.y), angle: round(glyph.angle) }))
+        } : {}),
+        clipBox: roundBox(layout.clipBox),
+        fits: !layout.overflow,
+        overflow: layout.overflow
+    };
+}
+
+// API endpoint that lays out text without rendering anything, for previews and fit checks.
+// Takes the same parameters as /api/overlay; an image is only read for its size.
+app.post('/api/layout', upload.any(), async (req, res) => {
+    try {
+        const files = req.files || [];
+        const file = files.find(candidate => candidate.fieldname === 'image') || null;
+
+        validateRenderParams(req.body);
+        const layers = resolveTextLayers(req.body);
+        if (!layers.length) {
+            return res.status(400).json({ error: 'text or layers is required' });
+        }
+
+        const metadata = await resolveLayoutCanvas(req.body, file);
+        const described = layers.map((layer, index) => {
+            const options = parseTextOptions(layer, metadata);
+            return describeLayout(layoutText(options.text, options), index);
+        });
+
+        res.json({
+            success: true,
+            width: metadata.width,
+            height: metadata.height,
+            fits: described.every(layer => layer.fits),
+            layers: described
+        });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Batch limits, overridable through the environment
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY) || 4;
+
+// Batch parameters; each item takes the /api/overlay parameters
+const BATCH_PARAMS = {
+    items: { type: 'json', label: 'Array|JSON string', required: true, description: 'Items with imageBase64, imageUrl or image (the field name of an uploaded file), an optional name, and any /api/overlay option' },
+    defaults: { type: 'json', label: 'Object|JSON string', description: 'Options applied to every item unless the item overrides them' },
+    responseFormat: { type: 'enum', values: ['json', 'zip'], default: 'json', description: 'json for an array of base64 results, zip for an archive with a manifest.json' },
+    concurrency: { type: 'integer', min: 1, default: BATCH_MAX_CONCURRENCY, description: `Items rendered at once, at most ${BATCH_MAX_CONCURRENCY}` }
+};
+
+// Helper function to run an async function over items with at most `limit` running at once
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Render every batch item, capturing per-item failures instead of failing the batch.
+// Items may name an uploaded file by field name with "image"; "defaults" apply to every item.
+async function renderBatch(params, files = [], options = {}) {
+    const { onItemDone } = options;
+    const { concurrency } = coerceParams(BATCH_PARAMS, params);
+    const items = parseJsonParam(params.items, 'items');
+    const defaults = parseJsonParam(params.defaults, 'defaults') || {};
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw createHttpError(400, 'items must be a non-empty array');
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+        throw createHttpError(400, `A batch may contain at most ${BATCH_MAX_ITEMS} items`);
+    }
+
+    const filesByField = new Map(files.map(file => [file.fieldname, file]));
+
+    // File-safe, unique result names
+    const usedNames = new Set();
+    const names = items.map((item, index) => {
+        const baseName = item && item.name ? String(item.name).replace(/[^\w.-]+/g, '-') : `item-${index + 1}`;
+        let name = baseName;
+        for (let suffix = 2; usedNames.has(name); suffix++) {
+            name = `${baseName}-${suffix}`;
+        }
+        usedNames.add(name);
+        return name;
+    });
+
+    return mapWithConcurrency(items, Math.min(BATCH_MAX_CONCURRENCY, concurrency), async (item, index) => {
+        const name = names[index];
+        let result;
+        try {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw createHttpError(400, 'Item must be an object');
+            }
+
+            let file = null;
+            if (item.image !== undefined) {
+                file = filesByField.get(String(item.image));
+                if (!file) {
+                    throw createHttpError(400, `No uploaded file named ${item.image}`);
+                }
+            }
+
+            const { outputBuffer, format, autoColors, textOverflow } = await renderRequest({ ...defaults, ...item }, { file, files });
+            result = { index, name, success: true, format, outputBuffer };
+            if (autoColors.length) {
+                result.autoColors = autoColors;
+            }
+            if (textOverflow.length) {
+                result.truncated = textOverflow.some(report => report.truncated);
+                result.textOverflow = textOverflow;
+            }
+        } catch (error) {
+            const status = error.statusCode || (isImageDecodeError(error) ? 400 : 500);
+            if (status === 500) {
+                console.error(`Error processing batch item ${index}:`, error);
+            }
+            result = { index, name, success: false, status, error: error.message };
+        }
+
+        if (onItemDone) onItemDone(result);
+        return result;
+    });
+}
+
+// Helper function to describe a batch item result without its image data
+function describeBatchResult(result) {
+    const { outputBuffer, ...description } = result;
+    if (outputBuffer) {
+        description.size = outputBuffer.length;
+        description.fileName = `${result.name}.${OUTPUT_FORMATS[result.format].extension}`;
+    }
+    return description;
+}
+
+// Helper function to build a ZIP archive of batch results with a manifest
+function createBatchArchive(results) {
+    const archive = archiver('zip', { zlib: { level: 1 } }); // Images are already compressed
+
+    for (const result of results) {
+        if (result.success) {
+            archive.append(result.outputBuffer, { name: describeBatchResult(result).fileName });
+        }
+    }
+    archive.append(JSON.stringify(results.map(describeBatchResult), null, 2), { name: 'manifest.json' });
+    archive.finalize();
+
+    return archive;
+}
+
+// Helper function to collect an archive stream into a buffer
+function archiveToBuffer(archive) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+    });
+}
+
+// Batch rendering with bounded concurrency. Returns a ZIP (responseFormat=zip) or a JSON array
+// of base64 results, with per-item success or error.
+app.post('/api/batch', upload.any(), async (req, res) => {
+    try {
+        const { responseFormat } = coerceParams(BATCH_PARAMS, req.body);
+
+        const results = await renderBatch(req.body, req.files);
+        const succeeded = results.filter(result => result.success).length;
+
+        res.set({
+            'X-Batch-Succeeded': String(succeeded),
+            'X-Batch-Failed': String(results.length - succeeded)
+        });
+
+        if (responseFormat === 'zip') {
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': 'attachment; filename="batch-results.zip"'
+            });
+
+            const archive = createBatchArchive(results);
+            archive.on('error', error => {
+                console.error('Error writing batch archive:', error);
+                res.destroy(error);
+            });
+            return archive.pipe(res);
+        }
+
+        res.json({
+            success: succeeded === results.length,
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            results: results.map(result => {
+                const description = describeBatchResult(result);
+                if (result.success) {
+                    const { mimeType } = OUTPUT_FORMATS[result.format];
+                    description.imageBase64 = `data:${mimeType};base64,${result.outputBuffer.toString('base64')}`;
+                }
+                return description;
+            })
+        });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// List saved templates (latest versions)
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: listTemplates() });
+});
+
+// Save a new template
+app.post('/api/templates', async (req, res) => {
+    try {
+        const template = await createTemplate(await parseTemplateBody(req.body));
+        res.status(201).json({ success: true, template });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Get a template, optionally at a specific ?version=
+app.get('/api/templates/:id', (req, res) => {
+    try {
+        res.json({ template: getTemplate(req.params.id, req.query.version) });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// List all versions of a template
+app.get('/api/templates/:id/versions', (req, res) => {
+    try {
+        res.json({ versions: listTemplateVersions(req.params.id) });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Replace a template's layout, saving it as a new version
+app.put('/api/templates/:id', async (req, res) => {
+    try {
+        getTemplate(req.params.id); // 404 before validating
+        const template = await updateTemplate(req.params.id, await parseTemplateBody(req.body));
+        res.json({ success: true, template });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Delete a template and all of its versions
+app.delete('/api/templates/:id', async (req, res) => {
+    try {
+        await deleteTemplate(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Fill a template with variables and render it on the supplied image or its fixed background
+async function renderTemplateRequest(templateId, params, context = {}) {
+    const { file = null, files = [], req = null } = context;
+    const template = getTemplate(templateId, params.version);
+    const variables = parseJsonParam(params.variables, 'variables') || {};
+
+    const templateParams = fillTemplate(template.definition, variables);
+    if (params.outputFormat) {
+        templateParams.outputFormat = params.outputFormat;
+    }
+
+    validateRenderParams(templateParams);
+    const layers = resolveTextLayers(templateParams);
+    resolveImageOverlays(templateParams);
+
+    // A supplied image wins over the template's fixed background, which wins over its canvas
+    let source = hasImageSource(params, file)
+        ? await loadSourceImage(params, file)
+        : await readTemplateBackground(template.id, template.version);
+    if (!source && templateParams.canvas) {
+        source = await loadCanvasImage(templateParams);
+    }
+    if (!source) {
+        throw createHttpError(400, 'Template has no background image or canvas, provide image, imageBase64, imageUrl or canvas');
+    }
+
+    const result = await renderOverlay(source.buffer, layers, templateParams, {
+        sourceFormat: source.declaredFormat,
+        req,
+        files
+    });
+    return { ...result, version: template.version };
+}
+
+// Render a template with {{variable}} values and an optional image
+app.post('/api/templates/:id/render', upload.any(), async (req, res) => {
+    try {
+        const { returnBase64 = false } = req.body;
+        const wantsBase64 = returnBase64 === 'true' || returnBase64 === true;
+        const files = req.files || [];
+
+        const { outputBuffer, format, negotiated, autoColors, textOverflow, version } = await renderTemplateRequest(req.params.id, req.body, {
+            file: files.find(candidate => candidate.fieldname === 'image') || null,
+            files,
+            req: wantsBase64 ? null : req
+        });
+
+        res.set('X-Template-Version', String(version));
+        sendImageResponse(res, outputBuffer, format, { returnBase64: wantsBase64, negotiated, autoColors, textOverflow });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Job types accepted by POST /api/jobs
+const JOB_TYPES = ['overlay', 'batch', 'template'];
+
+// Parameters of POST /api/jobs besides those of the queued render
+const JOB_PARAMS = {
+    type: { type: 'enum', values: JOB_TYPES, default: 'overlay', description: 'overlay (same parameters as /api/overlay-base64, or an uploaded image), batch (same as /api/batch, result is a ZIP) or template (templateId plus /api/templates/:id/render parameters)' },
+    callbackUrl: { type: 'string', description: 'URL that receives a POST when the job completes or fails, retried with exponential backoff' },
+    callbackSecret: { type: 'string', description: 'HMAC key for the callback. Defaults to WEBHOOK_SECRET, or a generated secret returned once in this response' }
+};
+
+// Helper function to build the background work for a job request, validating
+// what can be checked up front so obvious mistakes fail before queueing
+function createJobRunner(type, params, files) {
+    switch (type) {
+        case 'overlay': {
+            const file = files.find(candidate => candidate.fieldname === 'image') || null;
+            if (!hasImageSource(params, file)) {
+                throw createHttpError(400, 'An image file, imageBase64, imageUrl or canvas is required');
+            }
+            validateRenderParams(params);
+            resolveTextLayers(params);
+            resolveImageOverlays(params);
+
+            return async () => {
+                const { outputBuffer, format, autoColors, textOverflow } = await renderRequest(params, { file, files });
+                const details = { format };
+                if (autoColors.length) {
+                    details.autoColors = autoColors;
+                }
+                if (textOverflow.length) {
+                    details.truncated = textOverflow.some(report => report.truncated);
+                    details.textOverflow = textOverflow;
+                }
+                return {
+                    buffer: outputBuffer,
+                    contentType: OUTPUT_FORMATS[format].mimeType,
+                    fileName: `image-with-overlay.${OUTPUT_FORMATS[format].extension}`,
+                    details
+                };
+            };
+        }
+        case 'batch': {
+            coerceParams(BATCH_PARAMS, params);
+            const items = parseJsonParam(params.items, 'items');
+            if (!Array.isArray(items) || items.length === 0) {
+                throw createHttpError(400, 'items must be a non-empty array');
+            }
+
+            return async ({ reportProgress }) => {
+                let done = 0;
+                reportProgress(0, items.length);
+                const results = await renderBatch(params, files, {
+                    onItemDone: () => reportProgress(++done, items.length)
+                });
+                const succeeded = results.filter(result => result.success).length;
+
+                return {
+                    buffer: await archiveToBuffer(createBatchArchive(results)),
+                    contentType: 'application/zip',
+                    fileName: 'batch-results.zip',
+                    details: {
+                        total: results.length,
+                        succeeded,
+                        failed: results.length - succeeded,
+                        items: results.map(describeBatchResult)
+                    }
+                };
+            };
+        }
+        case 'template': {
+            if (!params.templateId) {
+                throw createHttpError(400, 'templateId is required');
+            }
+            getTemplate(params.templateId, params.version); // 404 before queueing
+            const file = files.find(candidate => candidate.fieldname === 'image') || null;
+
+            return async () => {
+                const { outputBuffer, format, autoColors, textOverflow, version } = await renderTemplateRequest(params.templateId, params, { file, files });
+                const details = { format, templateVersion: version };
+                if (autoColors.length) {
+                    details.autoColors = autoColors;
+                }
+                if (textOverflow.length) {
+                    details.truncated = textOverflow.some(report => report.truncated);
+                    details.textOverflow = textOverflow;
+                }
+                return {
+                    buffer: outputBuffer,
+                    contentType: OUTPUT_FORMATS[format].mimeType,
+                    fileName: `image-with-overlay.${OUTPUT_FORMATS[format].extension}`,
+                    details
+                };
+            };
+        }
+    }
+}
+
+// Queue an overlay, batch or template render and return a job id immediately
+app.post('/api/jobs', upload.any(), (req, res) => {
+    try {
+        const { type, callbackUrl, callbackSecret } = coerceParams(JOB_PARAMS, req.body);
+        const params = omitParams(req.body, Object.keys(JOB_PARAMS));
+
+        if (callbackUrl) {
+            checkUrl(callbackUrl, 'callbackUrl');
+        }
+
+        const run = createJobRunner(type, params, req.files || []);
+        const job = enqueueJob({ type, run, callbackUrl, callbackSecret, owner: req.apiKeyId || null });
+
+        res.status(202).location(job.statusUrl).json({ success: true, job });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Poll a job's status
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        res.json({ job: getJob(req.params.id, req.apiKeyId || null) });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Download a completed job's result
+app.get('/api/jobs/:id/result', (req, res) => {
+    try {
+        const result = getJobResult(req.params.id, req.apiKeyId || null);
+        res.set('Content-Type', result.contentType);
+        res.attachment(result.fileName);
+        res.sendFile(result.filePath, error => {
+            if (error && !res.headersSent) {
+                sendErrorResponse(res, createHttpError(410, 'Job result is no longer available'));
+            }
+        });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Font fields that override what is read from an uploaded font
+const FONT_UPLOAD_PARAMS = {
+    family: { type: 'string', defaultText: 'read from the font', description: 'Family name' },
+    weight: { type: 'string', pattern: FONT_WEIGHT_PATTERN, patternMessage: 'must be normal, bold, bolder, lighter or 100-900', defaultText: 'read from the font', description: 'Weight: normal, bold or 100-900' },
+    style: { type: 'enum', values: ['normal', 'italic'], defaultText: 'read from the font', description: 'Style' }
+};
+
+// Upload a TTF, OTF, WOFF or WOFF2 font for use by family name
+app.post('/api/fonts', fontUpload.single('font'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No font file provided' });
+        }
+
+        const { family, weight, style } = coerceParams(FONT_UPLOAD_PARAMS, req.body);
+        const font = await addFont(req.file.buffer, req.file.originalname, { family, weight, style });
+
+        res.status(201).json({ success: true, font });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// List uploaded and installed font families with their weights
+app.get('/api/fonts', (req, res) => {
+    res.json(listFonts());
+});
+
+// Remove an uploaded font
+app.delete('/api/fonts/:id', async (req, res) => {
+    try {
+        const font = await deleteFont(req.params.id);
+        res.json({ success: true, font });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Upload a logo or watermark image that overlays can reference by assetId
+app.post('/api/assets', upload.single('asset'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No asset file provided' });
+        }
+
+        const asset = await addAsset(req.file.buffer, req.file.originalname, { name: req.body.name });
+
+        res.status(201).json({ success: true, asset });
+
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// List uploaded assets
+app.get('/api/assets', (req, res) => {
+    res.json({ assets: listAssets() });
+});
+
+// Get one uploaded asset's details
+app.get('/api/assets/:id', (req, res) => {
+    try {
+        res.json(getAsset(req.params.id));
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Remove an uploaded asset
+app.delete('/api/assets/:id', async (req, res) => {
+    try {
+        const asset = await deleteAsset(req.params.id);
+        res.json({ success: true, asset });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Create an API key with its own rate limit and quota. The key is only shown once.
+app.post('/api/admin/keys', async (req, res) => {
+    try {
+        const { key, apiKey } = await createApiKey(req.body);
+        res.status(201).json({ success: true, key, apiKey });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// List API keys with their usage
+app.get('/api/admin/keys', (req, res) => {
+    res.json({ apiKeys: listApiKeys() });
+});
+
+// Get one API key's limits and usage
+app.get('/api/admin/keys/:id', (req, res) => {
+    try {
+        res.json({ apiKey: getApiKey(req.params.id) });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Revoke an API key
+app.delete('/api/admin/keys/:id', async (req, res) => {
+    try {
+        const apiKey = await revokeApiKey(req.params.id);
+        res.json({ success: true, apiKey });
+    } catch (error) {
+        sendErrorResponse(res, error);
+    }
+});
+
+// Template render parameters besides the template's own layout
+const TEMPLATE_RENDER_PARAMS = {
+    variables: { type: 'json', label: 'Object|JSON string', requirement: 'required when the template uses placeholders', description: 'Values for {{variable}} placeholders' },
+    image: { type: 'file', description: 'Image to render on, instead of the template background' },
+    imageBase64: { type: 'string', description: 'Base64 image to render on' },
+    imageUrl: { type: 'string', description: 'URL of an image to render on' },
+    version: { type: 'integer', min: 1, defaultText: 'latest', description: 'Template version to render' },
+    outputFormat: { type: 'enum', values: OUTPUT_FORMAT_NAMES, ignoreCase: true, description: 'Overrides the template output format' },
+    returnBase64: { type: 'boolean', default: false, description: 'Return base64 encoded result' }
+};
+
+// Every endpoint with its parameter schemas, for /api/docs, /api/openapi.json and /docs
+const API_ENDPOINTS = {
+    'POST /api/overlay': {
+        description: 'Add text overlay to an uploaded image file, or to imageBase64, imageUrl or canvas, with enhanced typography',
+        contentType: 'multipart/form-data or application/json',
+        parameters: OVERLAY_PARAMS,
+        responseType: 'image',
+        response: 'Binary image data in the resolved format, with matching Content-Type and filename extension'
+    },
+    'POST /api/overlay-base64': {
+        description: 'Add text overlay to a base64 encoded or URL-referenced image with enhanced typography',
+        contentType: 'application/json',
+        parameters: {
+            ...omitParams(OVERLAY_PARAMS, ['image']),
+            returnBase64: { type: 'boolean', default: false, description: 'Return JSON with a base64 data URI instead of binary image data' }
+        },
+        responseType: 'image',
+        response: 'Binary image data, or JSON with base64 string when returnBase64 is true'
+    },
+    'POST /api/layout': {
+        description: 'Lay out text without rendering anything: the font size chosen, the wrapped lines and where they go. The image, imageBase64, imageUrl or canvas is only read for its size; without one, width and height or a preset give the canvas size',
+        contentType: 'multipart/form-data or application/json',
+        parameters: OVERLAY_PARAMS,
+        response: 'JSON with the canvas width and height, fits, and per layer: fontSize, lineHeight, direction, lines (text, box and baseline), blockBox, extentBox (the block once rotated and skewed), transform, clipBox, fits and overflow. Curved text also lists its path and glyphs. overflow: error still responds 422'
+    },
+    'POST /api/batch': {
+        description: 'Render many images in one call with bounded concurrency. One failing item does not fail the batch',
+        contentType: 'application/json or multipart/form-data',
+        parameters: BATCH_PARAMS,
+        response: 'JSON { total, succeeded, failed, results: [{ index, name, success, imageBase64 | error, status }] } or a ZIP archive'
+    },
+    'POST /api/jobs': {
+        description: 'Queue a render in the background and return a job id immediately (202). Poll the status URL or pass a callbackUrl. Responds 503 while JOB_QUEUE_LIMIT jobs (default 100) are waiting',
+        contentType: 'application/json or multipart/form-data',
+        parameters: JOB_PARAMS,
+        status: 202,
+        response: 'JSON with the queued job. Callbacks carry X-Webhook-Timestamp and X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<body>")'
+    },
+    'GET /api/jobs/:id': {
+        description: 'Job status (queued|running|completed|failed), progress for batches, and the result download URL once completed. Jobs are only visible to the API key that created them'
+    },
+    'GET /api/jobs/:id/result': {
+        description: 'Download a completed job result. Results are kept for JOB_RETENTION_MS (default 24 hours)',
+        responseType: 'image'
+    },
+    'POST /api/templates': {
+        description: 'Save a reusable layout. Any string may contain {{variable}} placeholders filled at render time',
+        contentType: 'application/json',
+        parameters: {
+            name: { type: 'string', required: true, description: 'Template name' },
+            description: { type: 'string', description: 'Template description' },
+            ...omitParams(OVERLAY_PARAMS, ['image', 'imageBase64', 'imageUrl']),
+            backgroundImageBase64: { type: 'string', description: 'Fixed background image stored with the template' },
+            backgroundImageUrl: { type: 'string', description: 'URL of a fixed background image, fetched once when saving' }
+        },
+        status: 201,
+        response: 'JSON with the saved template, its version and the variables it uses'
+    },
+    'GET /api/templates': {
+        description: 'List saved templates (latest versions)'
+    },
+    'GET /api/templates/:id': {
+        description: 'Get a template',
+        query: {
+            version: { type: 'integer', min: 1, defaultText: 'latest', description: 'Template version' }
+        }
+    },
+    'GET /api/templates/:id/versions': {
+        description: 'List every saved version of a template'
+    },
+    'PUT /api/templates/:id': {
+        description: 'Replace a template layout, saved as a new version. The background carries over unless replaced or set to null',
+        contentType: 'application/json',
+        parameters: '(Same as POST /api/templates)'
+    },
+    'DELETE /api/templates/:id': {
+        description: 'Delete a template and all of its versions'
+    },
+    'POST /api/templates/:id/render': {
+        description: 'Render a template with variable values',
+        contentType: 'application/json or multipart/form-data',
+        parameters: TEMPLATE_RENDER_PARAMS,
+        responseType: 'image',
+        response: 'Binary image data or JSON with base64 string; X-Template-Version names the rendered version'
+    },
+    'POST /api/fonts': {
+        description: 'Upload a font so it can be used by family name in fontFamily',
+        contentType: 'multipart/form-data',
+        parameters: {
+            font: { type: 'file', required: true, description: 'TTF, OTF, WOFF or WOFF2 font file' },
+            ...FONT_UPLOAD_PARAMS
+        },
+        status: 201,
+        response: 'JSON with the registered font and its id'
+    },
+    'GET /api/fonts': {
+        description: 'List uploaded and installed font families with their weights and styles',
+        response: 'JSON with registered and system font families'
+    },
+    'DELETE /api/fonts/:id': {
+        description: 'Remove an uploaded font',
+        response: 'JSON with the removed font'
+    },
+    'POST /api/assets': {
+        description: 'Upload a logo or watermark image so overlays can reference it with images[].assetId',
+        contentType: 'multipart/form-data',
+        parameters: {
+            asset: { type: 'file', required: true, description: 'Image file, PNG with transparency works best' },
+            name: { type: 'string', defaultText: 'the file name', description: 'Display name' }
+        },
+        status: 201,
+        response: 'JSON with the registered asset and its id'
+    },
+    'GET /api/assets': {
+        description: 'List uploaded assets'
+    },
+    'GET /api/assets/:id': {
+        description: 'Get an uploaded asset with its format and dimensions'
+    },
+    'DELETE /api/assets/:id': {
+        description: 'Remove an uploaded asset',
+        response: 'JSON with the removed asset'
+    },
+    'POST /api/admin/keys': {
+        description: 'Create an API key. Needs the X-Admin-Key header',
+        contentType: 'application/json',
+        parameters: {
+            name: { type: 'string', description: 'Who or what the key is for' },
+            rateLimit: { type: 'integer', min: 1, default: 60, description: 'Requests allowed per rate window' },
+            rateWindow: { type: 'integer', min: 1, default: 60, description: 'Rate window in seconds' },
+            quota: { type: 'integer', min: 1, default: 1000, description: 'Requests allowed per quota period. GET requests do not count' },
+            quotaPeriod: { type: 'enum', values: QUOTA_PERIODS, default: 'day', description: 'Quota period, reset at midnight UTC' }
+        },
+        status: 201,
+        security: [{ AdminKey: [] }],
+        response: 'JSON with the key (shown only this once) and its details'
+    },
+    'GET /api/admin/keys': {
+        description: 'List API keys with their limits and usage. Needs the X-Admin-Key header',
+        security: [{ AdminKey: [] }]
+    },
+    'GET /api/admin/keys/:id': {
+        description: 'Get one API key with its usage in the current quota period. Needs the X-Admin-Key header',
+        security: [{ AdminKey: [] }]
+    },
+    'DELETE /api/admin/keys/:id': {
+        description: 'Revoke an API key. Its usage stays listed. Needs the X-Admin-Key header',
+        security: [{ AdminKey: [] }]
+    },
+    'GET /api/docs': {
+        description: 'This documentation as JSON'
+    },
+    'GET /api/openapi.json': {
+        description: 'OpenAPI 3 document describing every endpoint and parameter'
+    },
+    'GET /docs': {
+        description: 'Browsable HTML documentation generated from the OpenAPI document',
+        response: 'HTML page'
+    },
+    'GET /health': {
+        description: 'Health check'
+    }
+};
+
+// Ways to send an API key, as OpenAPI security schemes
+const API_SECURITY_SCHEMES = {
+    ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' },
+    Bearer: { type: 'http', scheme: 'bearer' },
+    AdminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' }
+};
+const PUBLIC_PATHS = ['/api/docs', '/api/openapi.json', '/docs', '/health'];
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
 // Enhanced API documentation endpoint
@@ -618,52 +3330,41 @@ app.get('/api/docs', (req, res) => {
             'JPEG/JPG', 'PNG', 'WebP', 'GIF', 'TIFF/TIF', 
             'BMP (output as PNG)', 'AVIF', 'HEIC/HEIF'
         ],
-        endpoints: {
-            'POST /api/overlay': {
-                description: 'Add text overlay to uploaded image file with enhanced typography',
-                contentType: 'multipart/form-data',
-                parameters: {
-                    image: 'File (required) - Image file to overlay',
-                    text: 'String (required) - Text to overlay (supports \\n for line breaks)',
-                    fontSize: 'Number (optional, default: 32) - Base font size in pixels',
-                    fontFamily: 'String (optional, default: Arial) - Font family',
-                    fontWeight: 'String (optional, default: normal) - Font weight (normal|bold)',
-                    color: 'String (optional, default: #ffffff) - Text color in hex',
-                    textAlign: 'String (optional, default: center) - Text alignment (left|center|right)',
-                    positionX: 'Number (optional, default: 50) - Horizontal position (0-100%)',
-                    positionY: 'Number (optional, default: 50) - Vertical position (0-100%)',
-                    outputFormat: 'String (optional, default: auto) - Output format',
-                    autoResize: 'Boolean (optional, default: true) - Auto-resize text to fit image',
-                    maxFontSize: 'Number (optional, auto-calculated) - Maximum font size',
-                    minFontSize: 'Number (optional, auto-calculated) - Minimum font size',
-                    paddingPercent: 'Number (optional, default: 10) - Padding as percentage of image size',
-                    lineHeightMultiplier: 'Number (optional, default: 1.3) - Line height multiplier',
-                    shadowEnabled: 'Boolean (optional, default: true) - Enable text shadow',
-                    shadowColor: 'String (optional, default: rgba(0,0,0,0.7)) - Shadow color',
-                    shadowBlur: 'Number (optional, default: 4) - Shadow blur radius',
-                    shadowOffset: 'Number (optional, default: 2) - Shadow offset distance',
-                    strokeEnabled: 'Boolean (optional, default: false) - Enable text stroke',
-                    strokeColor: 'String (optional, default: #000000) - Stroke color',
-                    strokeWidth: 'Number (optional, default: 1) - Stroke width'
-                },
-                response: 'Binary image data in specified format'
-            },
-            'POST /api/overlay-base64': {
-                description: 'Add text overlay to base64 encoded image with enhanced typography',
-                contentType: 'application/json',
-                parameters: '(Same as /api/overlay but with imageBase64 and returnBase64 options)'
-            }
-        },
+        endpoints: describeEndpoints(API_ENDPOINTS),
+        authentication: 'When ADMIN_API_KEY is set, /api routes other than the docs need an API key in the X-API-Key header, an Authorization: Bearer header or the apiKey query parameter. Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and X-Quota-* headers; going over a limit responds 429 with Retry-After',
         improvements: [
             "✅ Dynamic font sizing based on image dimensions",
             "✅ Improved text wrapping with intelligent word breaking",
-            "✅ Better character width estimation for accurate layout",
+            "✅ Text measured from real font files (glyph advances and kerning)",
             "✅ Support for explicit line breaks (\\n)",
             "✅ Smarter positioning (top, center, bottom alignment)",
             "✅ Enhanced typography options (font weight, shadows, strokes)",
             "✅ Configurable padding and line height",
             "✅ Binary search algorithm for optimal font size",
-            "✅ Prevention of text overflow and poor layout"
+            "✅ Prevention of text overflow and poor layout",
+            "✅ Multiple independent text layers composited in one pass",
+            "✅ Custom font uploads usable by family name",
+            "✅ Images fetched server-side from imageUrl",
+            "✅ Versioned templates with {{variable}} placeholders",
+            "✅ Batch rendering to a ZIP archive or JSON array",
+            "✅ Background jobs with status polling and signed webhooks",
+            "✅ Inline rich-text markup for bold, italic and colored words",
+            "✅ Background boxes, per-line highlight bars and gradient scrims behind text",
+            "✅ Logo and watermark compositing, including tiled and diagonal watermarks",
+            "✅ Automatic text color with a guaranteed minimum WCAG contrast",
+            "✅ Resize, smart crop and platform size presets before overlaying",
+            "✅ Canvas mode with solid, gradient and pattern backgrounds for cards without a photo",
+            "✅ Animated GIF and WebP keep every frame, delay and loop count",
+            "✅ Right-to-left text and Unicode line breaking for CJK and other scripts",
+            "✅ Balanced line breaking and dictionary hyphenation in 70+ languages",
+            "✅ Rotated, skewed and curved text along arcs, circles and custom paths",
+            "✅ Explicit text boxes in pixels or percent with a nine-point anchor",
+            "✅ Overflow policies: shrink, ellipsis, clip or a 422 error",
+            "✅ Layout-only endpoint and SVG output for editing or print",
+            "✅ EXIF auto-orientation, metadata preserve/strip/select and ICC color profiles",
+            "✅ API keys with per-key rate limits, daily or monthly quotas and admin endpoints",
+            "✅ Schema-validated parameters with field-level 400s, an OpenAPI 3 document and a docs page",
+            "✅ Importable render functions and an image-overlay command-line tool for files and folders"
         ],
         examples: {
             improved_auto_sizing: `curl -X POST http://localhost:3000/api/overlay \\
@@ -679,15 +3380,91 @@ app.get('/api/docs', (req, res) => {
   -F "shadowEnabled=true" \\
   -F "strokeEnabled=true" \\
   -F "strokeColor=#000000" \\
+  --output result.jpg`,
+            image_url: `curl -X POST http://localhost:3000/api/overlay-base64 \\
+  -H "Content-Type: application/json" \\
+  -d '{"imageUrl": "https://example.com/photo.jpg", "text": "Hello World", "returnBase64": true}'`,
+            multiple_layers: `curl -X POST http://localhost:3000/api/overlay \\
+  -F "image=@/path/to/image.jpg" \\
+  -F 'layers=[{"text":"SUMMER SALE","positionY":15,"fontWeight":"bold"},{"text":"Everything must go","positionY":50},{"text":"$19.99","positionY":85,"color":"#ffcc00"}]' \\
   --output result.jpg`
         }
     });
 });
 
-app.listen(port, () => {
-    console.log(`Enhanced Image Overlay API running on port ${port}`);
-    console.log(`API Documentation: http://localhost:${port}/api/docs`);
-    console.log('✨ New features: Enhanced typography, smart sizing, better text layout');
+// Helper function to build the OpenAPI document for this server
+function createApiDocument() {
+    return createOpenApiDocument({
+        title: 'Enhanced Image Text Overlay API',
+        version: '2.0.0',
+        description: 'Text and image overlays, templates, batches and background jobs. Invalid parameters respond 400 with details: [{ field, message }]'
+    }, API_ENDPOINTS, {
+        securitySchemes: API_SECURITY_SCHEMES,
+        security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }, { Bearer: [] }],
+        publicPaths: PUBLIC_PATHS
+    });
+}
+
+// OpenAPI 3 document generated from the parameter schemas
+app.get('/api/openapi.json', (req, res) => {
+    res.json(createApiDocument());
+});
+
+// Browsable documentation page
+app.get('/docs', (req, res) => {
+    res.type('html').send(renderDocsPage(createApiDocument(), '/api/openapi.json'));
 });
 
+// Helper function to read a library image argument: a Buffer, a file path, or nothing
+async function readImageArgument(image) {
+    if (image === null || image === undefined) {
+        return null;
+    }
+    const buffer = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+    return { fieldname: 'image', originalname: Buffer.isBuffer(image) ? 'image' : path.basename(image), buffer };
+}
+
+// Render overlays without going through HTTP, for scripts and the command-line tool.
+// `image` is a Buffer, a file path, or null with canvas; params are the /api/overlay
+// parameters. Errors are the ones the API responds with (statusCode, message, details).
+async function renderImage(image, params = {}) {
+    const file = await readImageArgument(image);
+    const { outputBuffer, format, autoColors, textOverflow } = await renderRequest({ ...params }, { file });
+    return { buffer: outputBuffer, format, ...OUTPUT_FORMATS[format], autoColors, textOverflow };
+}
+
+// Render a saved template the same way, with params as for /api/templates/:id/render
+async function renderTemplate(templateId, image, params = {}) {
+    const file = await readImageArgument(image);
+    const { outputBuffer, format, autoColors, textOverflow, version } = await renderTemplateRequest(templateId, params, { file });
+    return { buffer: outputBuffer, format, ...OUTPUT_FORMATS[format], autoColors, textOverflow, version };
+}
+
+// Listen only when run directly; required as a library, the app is exported with the
+// render functions attached, without starting a server. System fonts are indexed
+// first, so font lookups never scan the font directories during a request.
+if (require.main === module) {
+    loadSystemFonts().catch(error => {
+        console.error('Failed to index system fonts:', error.message);
+    }).then(() => app.listen(port, () => {
+        console.log(`Enhanced Image Overlay API running on port ${port}`);
+        console.log(`API Documentation: http://localhost:${port}/api/docs`);
+        console.log(`Docs page: http://localhost:${port}/docs`);
+        console.log('✨ New features: Enhanced typography, smart sizing, better text layout');
+        if (!apiKeysRequired()) {
+            console.log('⚠️  API keys are not required. Set ADMIN_API_KEY to turn on authentication');
+        }
+    }));
+}
+
 module.exports = app;
+module.exports.renderImage = renderImage;
+module.exports.renderTemplate = renderTemplate;
+module.exports.fillTemplate = fillTemplate;
+module.exports.OVERLAY_PARAMS = OVERLAY_PARAMS;
+// Text layout, exported for its unit tests
+module.exports.parseRichText = parseRichText;
+module.exports.splitIntoWords = splitIntoWords;
+module.exports.wrapText = wrapText;
+module.exports.breakLongWord = breakLongWord;
+module.exports.layoutText = layoutText;
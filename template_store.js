@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('./errors');
+
+// Saved templates live here, one JSON file per template plus background images
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, 'data', 'templates');
+
+// {{name}} placeholders inside template strings
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const templates = new Map();
+
+// Load saved templates from disk
+function loadTemplates() {
+    let fileNames = [];
+    try {
+        fileNames = fs.readdirSync(TEMPLATES_DIR).filter(fileName => fileName.endsWith('.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to read templates:', error.message);
+        }
+    }
+
+    for (const fileName of fileNames) {
+        try {
+            const template = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, fileName), 'utf8'));
+            templates.set(template.id, template);
+        } catch (error) {
+            console.error(`Failed to read template ${fileName}:`, error.message);
+        }
+    }
+}
+
+// Persist one template with its full version history
+async function saveTemplate(template) {
+    await fs.promises.mkdir(TEMPLATES_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(TEMPLATES_DIR, `${template.id}.json`), JSON.stringify(template, null, 2));
+}
+
+// Collect the placeholder names used anywhere in a value
+function findPlaceholders(value, names = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+            names.add(match[1]);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => findPlaceholders(item, names));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => findPlaceholders(item, names));
+    }
+    return names;
+}
+
+// Replace {{name}} placeholders in every string of a template definition.
+// Throws a 400 listing the variables that weren't supplied.
+function fillTemplate(definition, variables = {}) {
+    const missing = [...findPlaceholders(definition)].filter(name =>
+        variables[name] === undefined || variables[name] === null
+    );
+    if (missing.length) {
+        throw createHttpError(400, `Missing template variables: ${missing.join(', ')}`, { missing });
+    }
+
+    const fill = value => {
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => String(variables[name]));
+        }
+        if (Array.isArray(value)) {
+            return value.map(fill);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+        }
+        return value;
+    };
+
+    return fill(definition);
+}
+
+// Helper function to flatten one version of a template for API responses
+function describeVersion(template, entry) {
+    return {
+        id: template.id,
+        name: entry.name,
+        description: entry.description,
+        version: entry.version,
+        latestVersion: template.versions[template.versions.length - 1].version,
+        variables: entry.variables,
+        hasBackground: Boolean(entry.background),
+        definition: entry.definition,
+        createdAt: template.createdAt,
+        updatedAt: entry.createdAt
+    };
+}
+
+// Helper function to store a background image for a template version
+async function writeBackground(id, version, background) {
+    const fileName = `${id}-v${version}.bin`;
+    await fs.promises.mkdir(TEMPLATES_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(TEMPLATES_DIR, fileName), background.buffer);
+    return { fileName, format: background.format || null };
+}
+
+// Helper function to build the next version entry of a template
+async function buildVersion(id, version, fields, previousEntry) {
+    let background = previousEntry ? previousEntry.background : null;
+    if (fields.background === null) {
+        background = null;
+    } else if (fields.background) {
+        background = await writeBackground(id, version, fields.background);
+    }
+
+    return {
+        version,
+        name: fields.name,
+        description: fields.description || '',
+        definition: fields.definition,
+        variables: [...findPlaceholders(fields.definition)].sort(),
+        background,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// List the latest version of every template
+function listTemplates() {
+    return [...templates.values()]
+        .map(template => {
+            const { definition, ...summary } = describeVersion(template, template.versions[template.versions.length - 1]);
+            return summary;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Get a template at a specific version, or its latest version
+function getTemplate(id, version) {
+    const template = templates.get(id);
+    if (!template) {
+        throw createHttpError(404, `Template ${id} not found`);
+    }
+
+    if (version === undefined || version === null || version === '') {
+        return describeVersion(template, template.versions[template.versions.length - 1]);
+    }
+
+    const entry = template.versions.find(candidate => candidate.version === parseInt(version));
+    if (!entry) {
+        throw createHttpError(404, `Template ${id} has no version ${version}`);
+    }
+    return describeVersion(template, entry);
+}
+
+// List every version of a template, newest first
+function listTemplateVersions(id) {
+    const template = templates.get(id);
+    if (!template) {
+        throw createHttpError(404, `Template ${id} not found`);
+    }
+    return template.versions
+        .map(entry => {
+            const { definition, ...summary } = describeVersion(template, entry);
+            return summary;
+        })
+        .reverse();
+}
+
+// Create a template from validated fields ({ name, description, definition, background })
+async function createTemplate(fields) {
+    const id = crypto.randomUUID();
+    const template = {
+        id,
+        createdAt: new Date().toISOString(),
+        versions: [await buildVersion(id, 1, fields, null)]
+    };
+
+    templates.set(id, template);
+    await saveTemplate(template);
+    return getTemplate(id);
+}
+
+// Save validated fields as a new version of a template. The background carries over
+// from the previous version unless a new one is given or it is set to null.
+async function updateTemplate(id, fields) {
+    const template = templates.get(id);
+    if (!template) {
+        throw createHttpError(404, `Template ${id} not found`);
+    }
+
+    const previousEntry = template.versions[template.versions.length - 1];
+    template.versions.push(await buildVersion(id, previousEntry.version + 1, fields, previousEntry));
+
+    await saveTemplate(template);
+    return getTemplate(id);
+}
+
+// Delete a template with all of its versions and backgrounds
+async function deleteTemplate(id) {
+    const template = templates.get(id);
+    if (!template) {
+        throw createHttpError(404, `Template ${id} not found`);
+    }
+
+    templates.delete(id);
+    const fileNames = [`${id}.json`, ...template.versions.filter(entry => entry.background).map(entry => entry.background.fileName)];
+    await Promise.all([...new Set(fileNames)].map(fileName =>
+        fs.promises.rm(path.join(TEMPLATES_DIR, fileName), { force: true })
+    ));
+}
+
+// Read the fixed background image of a template version, or null when it has none
+async function readTemplateBackground(id, version) {
+    const template = templates.get(id);
+    const entry = template && template.versions.find(candidate => candidate.version === version);
+    if (!entry || !entry.background) return null;
+
+    const buffer = await fs.promises.readFile(path.join(TEMPLATES_DIR, entry.background.fileName));
+    return { buffer, declaredFormat: entry.background.format };
+}
+
+loadTemplates();
+
+module.exports = {
+    findPlaceholders,
+    fillTemplate,
+    listTemplates,
+    getTemplate,
+    listTemplateVersions,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    readTemplateBackground
+};
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keys are enforced once ADMIN_API_KEY is set. Everything the server stores goes to a
+// scratch directory.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+const ADMIN_KEY = 'test-admin-key';
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+// Keeps Express from logging the malformed bodies sent below
+process.env.NODE_ENV = 'test';
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.FONTS_DIR = path.join(dataDir, 'fonts');
+process.env.TEMPLATES_DIR = path.join(dataDir, 'templates');
+process.env.ASSETS_DIR = path.join(dataDir, 'assets');
+process.env.JOBS_DIR = path.join(dataDir, 'jobs');
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper function to call the API with optional headers and a JSON (or raw) body
+async function request(method, route, { headers = {}, body } = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Helper function to create a key through the admin API
+async function createKey(fields = {}) {
+    const { status, body } = await request('POST', '/api/admin/keys', { headers: { 'X-Admin-Key': ADMIN_KEY }, body: fields });
+    assert.strictEqual(status, 201);
+    return body;
+}
+
+// A render request small enough to be cheap
+const RENDER = { canvas: { width: 40, height: 20 }, text: 'Hi', outputFormat: 'png', returnBase64: true };
+
+test('rejects missing, invalid and revoked keys with 401', async () => {
+    const missing = await request('GET', '/api/fonts');
+    assert.strictEqual(missing.status, 401);
+    assert.match(missing.body.error, /API key is required/);
+
+    const invalid = await request('GET', '/api/fonts', { headers: { 'X-API-Key': 'oak_not-a-key' } });
+    assert.strictEqual(invalid.status, 401);
+    assert.strictEqual(invalid.body.error, 'Invalid API key');
+
+    const { key, apiKey } = await createKey({ name: 'revoked' });
+    assert.strictEqual((await request('GET', '/api/fonts', { headers: { 'X-API-Key': key } })).status, 200);
+    assert.strictEqual((await request('GET', '/api/fonts', { headers: { Authorization: `Bearer ${key}` } })).status, 200);
+    assert.strictEqual((await request('GET', `/api/fonts?apiKey=${key}`)).status, 200);
+
+    const revoked = await request('DELETE', `/api/admin/keys/${apiKey.id}`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    assert.strictEqual(revoked.status, 200);
+    const afterRevoke = await request('GET', '/api/fonts', { headers: { 'X-API-Key': key } });
+    assert.strictEqual(afterRevoke.status, 401);
+    assert.strictEqual(afterRevoke.body.error, 'This API key has been revoked');
+});
+
+test('leaves the docs open', async () => {
+    const response = await fetch(`${baseUrl}/api/openapi.json`);
+    assert.strictEqual(response.status, 200);
+});
+
+test('answers an exhausted rate limit window with 429 and Retry-After', async () => {
+    const { key } = await createKey({ rateLimit: 2, rateWindow: 60 });
+    const headers = { 'X-API-Key': key };
+
+    const first = await request('GET', '/api/fonts', { headers });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('ratelimit-remaining'), '1');
+    assert.strictEqual(first.headers.get('ratelimit-policy'), '2;w=60');
+    assert.strictEqual((await request('GET', '/api/fonts', { headers })).status, 200);
+
+    const limited = await request('GET', '/api/fonts', { headers });
+    assert.strictEqual(limited.status, 429);
+    assert.match(limited.body.error, /Rate limit of 2 requests per 60 seconds exceeded/);
+    const retryAfter = parseInt(limited.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+    assert.strictEqual(limited.headers.get('ratelimit-remaining'), '0');
+    assert.strictEqual(limited.headers.get('ratelimit-reset'), String(retryAfter));
+});
+
+test('counts renders but not reads against the quota', async () => {
+    const { key, apiKey } = await createKey({ quota: 1, rateLimit: 100 });
+    const headers = { 'X-API-Key': key };
+
+    for (let index = 0; index < 3; index++) {
+        const read = await request('GET', '/api/fonts', { headers });
+        assert.strictEqual(read.status, 200);
+        assert.strictEqual(read.headers.get('x-quota-remaining'), '1');
+    }
+
+    const render = await request('POST', '/api/overlay-base64', { headers, body: RENDER });
+    assert.strictEqual(render.status, 200);
+    assert.strictEqual(render.headers.get('x-quota-remaining'), '0');
+
+    const overQuota = await request('POST', '/api/overlay-base64', { headers, body: RENDER });
+    assert.strictEqual(overQuota.status, 429);
+    assert.match(overQuota.body.error, /Daily quota of 1 requests used up/);
+    assert.ok(parseInt(overQuota.headers.get('retry-after')) > 0);
+    assert.strictEqual(overQuota.headers.get('x-quota-remaining'), '0');
+
+    // Reads keep working once the quota is used up
+    assert.strictEqual((await request('GET', '/api/fonts', { headers })).status, 200);
+    const described = await request('GET', `/api/admin/keys/${apiKey.id}`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    assert.strictEqual(described.body.apiKey.usage.used, 1);
+});
+
+test('requires X-Admin-Key on admin routes', async () => {
+    assert.strictEqual((await request('GET', '/api/admin/keys')).status, 401);
+    assert.strictEqual((await request('GET', '/api/admin/keys', { headers: { 'X-Admin-Key': 'wrong' } })).status, 401);
+
+    // An API key is not an admin key
+    const { key } = await createKey();
+    assert.strictEqual((await request('GET', '/api/admin/keys', { headers: { 'X-API-Key': key } })).status, 401);
+    assert.strictEqual((await request('POST', '/api/admin/keys', { headers: { 'X-API-Key': key }, body: {} })).status, 401);
+
+    const listed = await request('GET', '/api/admin/keys', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    assert.strictEqual(listed.status, 200);
+    assert.ok(listed.body.apiKeys.every(entry => !('keyHash' in entry)));
+});
+
+test('checks keys before parsing request bodies', async () => {
+    const api = await request('POST', '/api/overlay-base64', { body: '{not json' });
+    assert.strictEqual(api.status, 401);
+
+    const admin = await request('POST', '/api/admin/keys', { body: '{not json' });
+    assert.strictEqual(admin.status, 401);
+
+    // With a valid key the same body gets as far as the parser
+    const { key } = await createKey();
+    const parsed = await fetch(`${baseUrl}/api/overlay-base64`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: '{not json'
+    });
+    assert.strictEqual(parsed.status, 400);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A stand-in fc-match on PATH that knows one family and logs every call
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fc-match-'));
+const callLog = path.join(binDir, 'calls.log');
+fs.writeFileSync(path.join(binDir, 'fc-match'), `#!/bin/sh
+echo "$2" >> "${callLog}"
+case "$2" in
+    "Fake Sans") printf 'Fake Sans' ;;
+    *) printf 'Fallback Sans' ;;
+esac
+`, { mode: 0o755 });
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+const { isKnownFontFamily, listSystemFontFamilies, loadSystemFonts } = require('../font_metrics');
+
+// Helper function to list the families fc-match was asked about
+function fcMatchCalls() {
+    return fs.existsSync(callLog) ? fs.readFileSync(callLog, 'utf8').split('\n').filter(Boolean) : [];
+}
+
+test.before(() => loadSystemFonts());
+
+test.after(() => fs.rmSync(binDir, { recursive: true, force: true }));
+
+test('asks fontconfig about each family once, misses included', { skip: process.platform === 'win32' }, () => {
+    assert.strictEqual(isKnownFontFamily('Fake Sans'), true);
+    assert.strictEqual(isKnownFontFamily('fake sans'), true);
+    for (let index = 0; index < 3; index++) {
+        assert.strictEqual(isKnownFontFamily('Nope Sans'), false);
+    }
+    assert.deepStrictEqual(fcMatchCalls(), ['Fake Sans', 'Nope Sans']);
+});
+
+test('answers indexed system families without fontconfig', () => {
+    const before = fcMatchCalls().length;
+    for (const { family } of listSystemFontFamilies()) {
+        assert.strictEqual(isKnownFontFamily(family), true);
+    }
+    assert.strictEqual(fcMatchCalls().length, before);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Only the stub server's hostname is allowlisted, so loopback IPs stay blocked
+process.env.IMAGE_FETCH_ALLOWLIST = 'localhost';
+process.env.IMAGE_FETCH_MAX_BYTES = '1024';
+process.env.IMAGE_FETCH_MAX_REDIRECTS = '2';
+
+const { fetchImage, checkUrl } = require('../image_fetch');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let server;
+let baseUrl;
+const requests = [];
+
+// Stub image host with one route per case
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const [, route, argument] = req.url.split('/');
+        switch (route) {
+            case 'image':
+                res.writeHead(200, { 'Content-Type': 'image/png; charset=binary' });
+                return res.end(PNG);
+            case 'redirect': {
+                const remaining = parseInt(argument);
+                res.writeHead(302, { Location: remaining > 1 ? `/redirect/${remaining - 1}` : '/image' });
+                return res.end();
+            }
+            case 'redirect-private':
+                res.writeHead(302, { Location: `http://127.0.0.1:${server.address().port}/image` });
+                return res.end();
+            case 'large':
+                res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 2048 });
+                return res.end(Buffer.alloc(2048));
+            case 'large-chunked':
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                for (let index = 0; index < 4; index++) res.write(Buffer.alloc(512));
+                return res.end();
+            case 'html':
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                return res.end('<html></html>');
+            default:
+                res.writeHead(404);
+                return res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+    requests.length = 0;
+});
+
+test('fetches an image with its declared format', async () => {
+    const { buffer, declaredFormat } = await fetchImage(`${baseUrl}/image`);
+    assert.deepStrictEqual(buffer, PNG);
+    assert.strictEqual(declaredFormat, 'png');
+});
+
+test('rejects private address literals without connecting', async () => {
+    const port = server.address().port;
+    for (const host of ['127.0.0.1', '[::1]', '[::ffff:127.0.0.1]', '[::127.0.0.1]', '[2002:7f00:1::]', '[64:ff9b::7f00:1]', '10.0.0.1']) {
+        await assert.rejects(fetchImage(`http://${host}:${port}/image`), { statusCode: 400, message: /private address/ });
+    }
+    assert.deepStrictEqual(requests, []);
+});
+
+test('rejects URLs that are not http or https', () => {
+    assert.throws(() => checkUrl('file:///etc/passwd'), { statusCode: 400, message: 'imageUrl must use http or https' });
+    assert.throws(() => checkUrl('not a url'), { statusCode: 400, message: 'imageUrl must be a valid URL' });
+});
+
+test('follows redirects up to the limit', async () => {
+    const { buffer } = await fetchImage(`${baseUrl}/redirect/2`);
+    assert.deepStrictEqual(buffer, PNG);
+
+    await assert.rejects(fetchImage(`${baseUrl}/redirect/3`), { statusCode: 502, message: 'imageUrl redirected more than 2 times' });
+    assert.strictEqual(requests.filter(url => url === '/image').length, 1);
+});
+
+test('rejects redirects to private addresses', async () => {
+    await assert.rejects(fetchImage(`${baseUrl}/redirect-private`), { statusCode: 400, message: /private address \(127\.0\.0\.1\)/ });
+    assert.deepStrictEqual(requests, ['/redirect-private']);
+});
+
+test('rejects images over the size limit', async () => {
+    await assert.rejects(fetchImage(`${baseUrl}/large`), { statusCode: 413 });
+    await assert.rejects(fetchImage(`${baseUrl}/large-chunked`), { statusCode: 413 });
+});
+
+test('rejects responses that are not images', async () => {
+    await assert.rejects(fetchImage(`${baseUrl}/html`), { statusCode: 415, message: 'imageUrl did not return an image (content-type: text/html)' });
+});
+
+test('reports error statuses as 502', async () => {
+    await assert.rejects(fetchImage(`${baseUrl}/missing`), { statusCode: 502, message: 'Fetching imageUrl failed with status 404' });
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+process.env.JOBS_DIR = jobsDir;
+process.env.IMAGE_FETCH_ALLOWLIST = 'localhost';
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_QUEUE_LIMIT = '1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+
+const { enqueueJob, getJob, getJobResult } = require('../job_queue');
+
+let server;
+let baseUrl;
+let deliveries = [];
+// Status codes the stub webhook answers with, one per delivery; 200 once they run out
+let responses = [];
+
+// Stub webhook receiver that records every delivery
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            deliveries.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(responses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    deliveries = [];
+    responses = [];
+});
+
+// Helper function to queue a job that renders a fixed buffer
+function enqueueTestJob(options = {}) {
+    return enqueueJob({
+        type: 'test',
+        run: async () => ({ buffer: Buffer.from('result'), contentType: 'text/plain', fileName: 'result.txt' }),
+        ...options
+    });
+}
+
+// Helper function to poll a job until `done(job)` holds
+async function waitForJob(id, done, owner = null) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const job = getJob(id, owner);
+        if (done(job)) return job;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${id} did not settle`);
+}
+
+// Helper function to wait until a job has finished
+function waitForFinish(id, owner = null) {
+    return waitForJob(id, job => job.status === 'completed' || job.status === 'failed', owner);
+}
+
+// Helper function to wait until a job's callback has settled
+function waitForCallback(id) {
+    return waitForJob(id, job => job.callback && job.callback.status !== 'pending');
+}
+
+test('signs webhooks with HMAC-SHA256 over the timestamp and body', async () => {
+    const { id } = enqueueTestJob({ callbackUrl: `${baseUrl}/hook`, callbackSecret: 's3cret' });
+    const job = await waitForCallback(id);
+
+    assert.strictEqual(job.callback.status, 'delivered');
+    assert.strictEqual(deliveries.length, 1);
+    const { headers, body } = deliveries[0];
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'job.completed');
+    assert.strictEqual(payload.job.id, id);
+    assert.strictEqual(payload.job.result.size, 6);
+    assert.deepStrictEqual(fs.readFileSync(getJobResult(id).filePath), Buffer.from('result'));
+});
+
+test('returns a generated secret when none was given', async () => {
+    const { id, callbackSecret } = enqueueTestJob({ callbackUrl: `${baseUrl}/hook` });
+    assert.match(callbackSecret, /^[0-9a-f]{64}$/);
+    await waitForCallback(id);
+
+    const { headers, body } = deliveries[0];
+    const expected = crypto.createHmac('sha256', callbackSecret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+});
+
+test('reports failed jobs in the webhook', async () => {
+    const { id } = enqueueJob({
+        type: 'test',
+        run: async () => { throw Object.assign(new Error('Bad input'), { statusCode: 400 }); },
+        callbackUrl: `${baseUrl}/hook`,
+        callbackSecret: 's3cret'
+    });
+    await waitForCallback(id);
+
+    const payload = JSON.parse(deliveries[0].body);
+    assert.strictEqual(payload.event, 'job.failed');
+    assert.deepStrictEqual(payload.job.error, { status: 400, message: 'Bad input' });
+});
+
+test('retries webhooks until they are accepted', async () => {
+    responses = [500, 503];
+    const { id } = enqueueTestJob({ callbackUrl: `${baseUrl}/hook`, callbackSecret: 's3cret' });
+    const job = await waitForCallback(id);
+
+    assert.strictEqual(job.callback.status, 'delivered');
+    assert.strictEqual(job.callback.attempts, 3);
+    assert.strictEqual(deliveries.length, 3);
+    // Every attempt is signed again with its own timestamp
+    for (const { headers, body } of deliveries) {
+        const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+    }
+});
+
+test('gives up on webhooks after WEBHOOK_MAX_ATTEMPTS', async t => {
+    t.mock.method(console, 'error', () => {});
+    responses = [500, 500, 500, 500];
+    const { id } = enqueueTestJob({ callbackUrl: `${baseUrl}/hook`, callbackSecret: 's3cret' });
+    const job = await waitForCallback(id);
+
+    assert.strictEqual(job.callback.status, 'failed');
+    assert.strictEqual(job.callback.attempts, 3);
+    assert.strictEqual(deliveries.length, 3);
+});
+
+test('hides jobs from other owners', async () => {
+    const { id } = enqueueTestJob({ owner: 'key-a' });
+    assert.strictEqual(getJob(id, 'key-a').id, id);
+    assert.throws(() => getJob(id, 'key-b'), { statusCode: 404 });
+    assert.throws(() => getJob(id), { statusCode: 404 });
+    assert.throws(() => getJobResult(id, 'key-b'), { statusCode: 404 });
+
+    await waitForFinish(id, 'key-a');
+    assert.strictEqual(getJobResult(id, 'key-a').fileName, 'result.txt');
+});
+
+test('rejects jobs with 503 once JOB_QUEUE_LIMIT jobs are waiting', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    const running = enqueueTestJob({ run: async () => { await blocked; return { buffer: Buffer.from('x'), contentType: 'text/plain', fileName: 'x.txt' }; } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const waiting = enqueueTestJob();
+    assert.throws(() => enqueueTestJob(), { statusCode: 503, message: 'The job queue is full, try again later' });
+
+    release();
+    for (const { id } of [running, waiting]) {
+        assert.strictEqual((await waitForFinish(id)).status, 'completed');
+    }
+});
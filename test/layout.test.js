@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Keep keys, fonts, templates and assets of this checkout out of the way
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.FONTS_DIR = path.join(dataDir, 'fonts');
+process.env.TEMPLATES_DIR = path.join(dataDir, 'templates');
+process.env.ASSETS_DIR = path.join(dataDir, 'assets');
+process.env.JOBS_DIR = path.join(dataDir, 'jobs');
+
+const app = require('../server');
+
+const LONG_TEXT = 'The quick brown fox jumps over the lazy dog while the band plays on. '.repeat(12).trim();
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper function to post JSON to the API
+async function post(route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('clips a wide image at the same padding the text is wrapped to', async () => {
+    for (const textAlign of ['left', 'center', 'right']) {
+        for (const positionY of [10, 50, 90]) {
+            const { status, body } = await post('/api/layout', {
+                canvas: { width: 1200, height: 630 },
+                text: LONG_TEXT,
+                autoResize: false,
+                fontSize: 48,
+                overflow: 'clip',
+                textAlign,
+                positionY
+            });
+            assert.strictEqual(status, 200);
+
+            const [layer] = body.layers;
+            // The padding is 10% of the shorter side on every edge
+            assert.deepStrictEqual(layer.clipBox, { x: 63, y: 63, width: 1074, height: 504 });
+            assert.strictEqual(layer.overflow.truncated, true);
+            for (const line of layer.lines) {
+                assert.ok(line.box.x >= layer.clipBox.x - 0.5, `${textAlign}: "${line.text}" starts before the clip box`);
+                assert.ok(line.box.x + line.box.width <= layer.clipBox.x + layer.clipBox.width + 0.5, `${textAlign}: "${line.text}" runs past the clip box`);
+            }
+        }
+    }
+});
+
+test('keeps aligned text the same padding away from every edge', async () => {
+    const canvas = { width: 1200, height: 630 };
+    const layout = async fields => (await post('/api/layout', { canvas, text: 'Short line', autoResize: false, fontSize: 40, ...fields })).body.layers[0];
+
+    const left = await layout({ textAlign: 'left', positionY: 10 });
+    assert.strictEqual(left.blockBox.x, 63);
+    assert.strictEqual(left.blockBox.y, 63);
+
+    const right = await layout({ textAlign: 'right', positionY: 90 });
+    assert.strictEqual(right.blockBox.x + right.blockBox.width, 1200 - 63);
+    assert.strictEqual(right.blockBox.y + right.blockBox.height, 630 - 63);
+});
+
+test('shrinks text below minFontSize until it fits', async () => {
+    const { status, body } = await post('/api/layout', {
+        canvas: { width: 400, height: 200 },
+        text: LONG_TEXT,
+        minFontSize: 12,
+        overflow: 'shrink'
+    });
+    assert.strictEqual(status, 200);
+
+    const [layer] = body.layers;
+    assert.ok(layer.fontSize < 12, `font size ${layer.fontSize} is not below minFontSize`);
+    assert.ok(layer.fontSize >= 4);
+    assert.strictEqual(layer.overflow.policy, 'shrink');
+    assert.strictEqual(layer.overflow.truncated, false);
+    assert.strictEqual(layer.overflow.fontSize, layer.fontSize);
+});
+
+test('cuts text to maxLines with an ellipsis', async () => {
+    const { status, body } = await post('/api/layout', {
+        canvas: { width: 1200, height: 630 },
+        text: LONG_TEXT,
+        autoResize: false,
+        fontSize: 40,
+        maxLines: 3,
+        overflow: 'ellipsis'
+    });
+    assert.strictEqual(status, 200);
+
+    const [layer] = body.layers;
+    assert.ok(layer.lines.length <= 3);
+    assert.ok(layer.lines[layer.lines.length - 1].text.endsWith('…'));
+    assert.strictEqual(layer.overflow.truncated, true);
+    assert.strictEqual(layer.overflow.lines, layer.lines.length);
+    assert.strictEqual(layer.clipBox, null);
+});
+
+test('clips overflowing text and leaves fitting text alone', async () => {
+    const fields = { canvas: { width: 800, height: 600 }, autoResize: false, fontSize: 48, overflow: 'clip' };
+
+    const long = (await post('/api/layout', { ...fields, text: LONG_TEXT })).body.layers[0];
+    assert.deepStrictEqual(long.clipBox, { x: 60, y: 60, width: 680, height: 480 });
+    assert.strictEqual(long.overflow.truncated, true);
+
+    const short = (await post('/api/layout', { ...fields, text: 'Short line' })).body.layers[0];
+    assert.strictEqual(short.clipBox, null);
+    assert.strictEqual(short.overflow, null);
+});
+
+test('rejects text that does not fit with 422 and the measured overflow', async () => {
+    const fields = { text: LONG_TEXT, autoResize: false, fontSize: 48, overflow: 'error' };
+
+    const layout = await post('/api/layout', { ...fields, canvas: { width: 800, height: 600 } });
+    assert.strictEqual(layout.status, 422);
+    assert.strictEqual(layout.body.details.overflow.fontSize, 48);
+    assert.ok(layout.body.details.overflow.overflowHeight > 0);
+
+    const image = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('image', new Blob([image], { type: 'image/png' }), 'plain.png');
+    for (const [name, value] of Object.entries(fields)) form.append(name, String(value));
+    const response = await fetch(`${baseUrl}/api/overlay`, { method: 'POST', body: form });
+    assert.strictEqual(response.status, 422);
+    assert.deepStrictEqual((await response.json()).details.overflow, layout.body.details.overflow);
+});
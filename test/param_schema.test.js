@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkParams, coerceParams, describeParams, createOpenApiDocument } = require('../param_schema');
+
+const SCHEMA = {
+    text: { type: 'string', required: true, description: 'Text' },
+    fontSize: { type: 'integer', default: 32, min: 1, description: 'Font size' },
+    opacity: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Opacity' },
+    shadow: { type: 'boolean', default: true, description: 'Shadow' },
+    align: { type: 'enum', values: ['left', 'center', 'right'], default: 'center', description: 'Alignment' },
+    format: { type: 'enum', values: ['png', 'jpeg'], ignoreCase: true, description: 'Format' },
+    weight: { type: 'string', pattern: /^(normal|bold)$/, patternMessage: 'must be normal or bold', description: 'Weight' }
+};
+
+test('coerces form strings and fills in defaults', () => {
+    assert.deepStrictEqual(coerceParams(SCHEMA, { text: 'Hi', fontSize: ' 48 ', opacity: '0.25', shadow: 'false', format: 'PNG' }), {
+        text: 'Hi',
+        fontSize: 48,
+        opacity: 0.25,
+        shadow: false,
+        align: 'center',
+        format: 'png',
+        weight: undefined
+    });
+    // Forms send fields left empty as ''
+    assert.strictEqual(coerceParams(SCHEMA, { text: 'Hi', fontSize: '' }).fontSize, 32);
+    assert.strictEqual(coerceParams(SCHEMA, { text: 'Hi', shadow: '1' }).shadow, true);
+});
+
+test('rejects fractions for integer fields instead of truncating them', () => {
+    assert.deepStrictEqual(checkParams(SCHEMA, { text: 'Hi', fontSize: 1.5 }), [{ field: 'fontSize', message: 'must be an integer' }]);
+    assert.deepStrictEqual(checkParams(SCHEMA, { text: 'Hi', fontSize: '12.9' }), [{ field: 'fontSize', message: 'must be an integer' }]);
+    assert.deepStrictEqual(checkParams(SCHEMA, { text: 'Hi', fontSize: '12.0' }), []);
+    assert.strictEqual(coerceParams(SCHEMA, { text: 'Hi', opacity: '0.5' }).opacity, 0.5);
+});
+
+test('throws a 400 listing every invalid field', () => {
+    assert.throws(() => coerceParams(SCHEMA, {
+        fontSize: 'big',
+        opacity: 2,
+        shadow: 'maybe',
+        align: 'justify',
+        weight: 'heavy'
+    }, 'layers[0].'), error => {
+        assert.strictEqual(error.statusCode, 400);
+        assert.strictEqual(error.message, 'Invalid parameters');
+        assert.deepStrictEqual(error.details, [
+            { field: 'layers[0].text', message: 'is required' },
+            { field: 'layers[0].fontSize', message: 'must be a number' },
+            { field: 'layers[0].opacity', message: 'must be between 0 and 1' },
+            { field: 'layers[0].shadow', message: 'must be true or false' },
+            { field: 'layers[0].align', message: 'must be one of: left, center, right' },
+            { field: 'layers[0].weight', message: 'must be normal or bold' }
+        ]);
+        return true;
+    });
+    assert.deepStrictEqual(checkParams(SCHEMA, { text: 'Hi', fontSize: 0 }), [{ field: 'fontSize', message: 'must be at least 1' }]);
+});
+
+test('skips values the caller accepts as they are', () => {
+    const skip = value => /\{\{\w+\}\}/.test(value);
+    assert.deepStrictEqual(checkParams(SCHEMA, { text: 'Hi', fontSize: '{{size}}' }, '', { skip }), []);
+});
+
+test('describes parameters for /api/docs', () => {
+    const described = describeParams({
+        ...SCHEMA,
+        layers: { type: 'json', label: 'Array', items: { text: SCHEMA.text }, description: 'Text layers' },
+        size: { type: 'integer', defaultText: 'auto', description: 'Size' }
+    });
+    assert.strictEqual(described.text, 'String (required) - Text');
+    assert.strictEqual(described.fontSize, 'Number (optional, default: 32) - Font size');
+    assert.strictEqual(described.align, 'String (optional, default: center, one of: left|center|right) - Alignment');
+    assert.strictEqual(described.layers, 'Array (optional) - Text layers. Entry fields: text');
+    assert.strictEqual(described.size, 'Number (optional, default: auto) - Size');
+});
+
+test('builds an OpenAPI document from endpoint schemas', () => {
+    const document = createOpenApiDocument({ title: 'Test', version: '1.0.0' }, {
+        'POST /api/render': {
+            description: 'Render',
+            contentType: 'multipart/form-data or application/json',
+            parameters: {
+                image: { type: 'file', description: 'Image' },
+                layers: { type: 'json', items: SCHEMA, description: 'Layers' },
+                canvas: { type: 'json', properties: { width: SCHEMA.fontSize }, description: 'Canvas' },
+                ...SCHEMA
+            },
+            responseType: 'image'
+        },
+        'GET /api/things/:id': { description: 'Get a thing', query: { verbose: SCHEMA.shadow } },
+        'GET /api/docs': { description: 'Docs' }
+    }, {
+        securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+        security: [{ apiKey: [] }],
+        publicPaths: ['/api/docs']
+    });
+
+    assert.strictEqual(document.openapi, '3.0.3');
+    assert.deepStrictEqual(document.security, [{ apiKey: [] }]);
+
+    const render = document.paths['/api/render'].post;
+    const multipart = render.requestBody.content['multipart/form-data'].schema;
+    const json = render.requestBody.content['application/json'].schema;
+    assert.deepStrictEqual(multipart.required, ['text']);
+    assert.deepStrictEqual(multipart.properties.image, { description: 'Image', type: 'string', format: 'binary' });
+    assert.ok(!('image' in json.properties), 'JSON bodies cannot carry files');
+    assert.deepStrictEqual(json.properties.fontSize, { description: 'Font size', type: 'integer', minimum: 1, default: 32 });
+    assert.deepStrictEqual(json.properties.align.enum, ['left', 'center', 'right']);
+    assert.strictEqual(json.properties.weight.pattern, '^(normal|bold)$');
+
+    // json fields accept their structure or a JSON string
+    const [layers, layersString] = json.properties.layers.oneOf;
+    assert.strictEqual(layers.type, 'array');
+    assert.deepStrictEqual(layers.items.required, ['text']);
+    assert.deepStrictEqual(layersString, { type: 'string' });
+    assert.strictEqual(json.properties.canvas.oneOf[0].properties.width.type, 'integer');
+    assert.ok(render.responses[200].content['image/*']);
+    assert.deepStrictEqual(render.responses.default.content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+
+    const thing = document.paths['/api/things/{id}'].get;
+    assert.deepStrictEqual(thing.parameters.map(parameter => [parameter.name, parameter.in]), [['id', 'path'], ['verbose', 'query']]);
+    assert.strictEqual(thing.requestBody, undefined);
+    assert.deepStrictEqual(document.paths['/api/docs'].get.security, []);
+});
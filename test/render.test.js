@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Keep keys, fonts, templates and assets of this checkout out of the way
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.FONTS_DIR = path.join(dataDir, 'fonts');
+process.env.TEMPLATES_DIR = path.join(dataDir, 'templates');
+process.env.ASSETS_DIR = path.join(dataDir, 'assets');
+process.env.JOBS_DIR = path.join(dataDir, 'jobs');
+
+const { renderImage } = require('../server');
+
+const CANVAS = { width: 400, height: 200, background: '#336699' };
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('escapes quoted font family lists in SVG markup', async () => {
+    const fontFamily = '"Brand Sans", sans-serif';
+    const svg = await renderImage(null, { canvas: CANVAS, text: 'Hello', fontFamily, outputFormat: 'svg' });
+    const markup = svg.buffer.toString();
+    assert.match(markup, /font-family="&quot;Brand Sans&quot;, sans-serif"/);
+    assert.doesNotMatch(markup, /font-family=""Brand/);
+
+    // The same text layer rasterizes, so the SVG it is drawn from parses
+    const png = await renderImage(null, { canvas: CANVAS, text: 'Hello', fontFamily, outputFormat: 'png' });
+    assert.strictEqual((await sharp(png.buffer).metadata()).width, 400);
+});
+
+test('escapes font family lists in curved text', async () => {
+    const fontFamily = '"Brand Sans", sans-serif';
+    for (const outputFormat of ['svg', 'png']) {
+        const result = await renderImage(null, { canvas: CANVAS, text: 'Curved', curve: 'arc', fontFamily, outputFormat });
+        if (outputFormat === 'svg') {
+            assert.match(result.buffer.toString(), /<text font-family="&quot;Brand Sans&quot;, sans-serif"[^>]*><textPath/);
+        }
+    }
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Keep keys, fonts, templates and assets of this checkout out of the way
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.FONTS_DIR = path.join(dataDir, 'fonts');
+process.env.TEMPLATES_DIR = path.join(dataDir, 'templates');
+process.env.ASSETS_DIR = path.join(dataDir, 'assets');
+process.env.JOBS_DIR = path.join(dataDir, 'jobs');
+
+const app = require('../server');
+
+// Bytes that claim to be a PNG but can't be decoded
+const BROKEN_IMAGE = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from('not really a png')]);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper function to post JSON to the API
+async function post(route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('reports undecodable images as 400 on every route', async () => {
+    const form = new FormData();
+    form.append('text', 'Hello');
+    form.append('image', new Blob([BROKEN_IMAGE], { type: 'image/png' }), 'broken.png');
+    const upload = await fetch(`${baseUrl}/api/overlay`, { method: 'POST', body: form });
+    assert.strictEqual(upload.status, 400);
+    assert.strictEqual((await upload.json()).error, 'The image could not be decoded');
+
+    const base64 = await post('/api/overlay-base64', { text: 'Hello', imageBase64: BROKEN_IMAGE.toString('base64') });
+    assert.strictEqual(base64.status, 400);
+    assert.strictEqual(base64.body.error, 'The image could not be decoded');
+
+    const created = await post('/api/templates', { name: 'Broken background', text: 'Hello' });
+    assert.strictEqual(created.status, 201);
+    const rendered = await post(`/api/templates/${created.body.template.id}/render`, { imageBase64: BROKEN_IMAGE.toString('base64') });
+    assert.strictEqual(rendered.status, 400);
+    assert.strictEqual(rendered.body.error, 'The image could not be decoded');
+
+    const batch = await post('/api/batch', { responseFormat: 'json', items: [{ text: 'Hello', imageBase64: BROKEN_IMAGE.toString('base64') }] });
+    assert.strictEqual(batch.status, 200);
+    assert.strictEqual(batch.body.results[0].status, 400);
+});
+
+test('rejects fractional integer parameters with field errors', async () => {
+    const { status, body } = await post('/api/overlay-base64', {
+        canvas: { width: 40, height: 20 },
+        text: 'Hello',
+        fontSize: 1.5,
+        layers: [{ text: 'Hi', paddingPercent: 12.9 }]
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, [
+        { field: 'fontSize', message: 'must be an integer' },
+        { field: 'layers[0].paddingPercent', message: 'must be an integer' }
+    ]);
+});
+
+test('serves the OpenAPI document generated from the parameter schemas', async () => {
+    const response = await fetch(`${baseUrl}/api/openapi.json`);
+    assert.strictEqual(response.status, 200);
+    const document = await response.json();
+
+    const overlay = document.paths['/api/overlay'].post;
+    const { schema } = overlay.requestBody.content['multipart/form-data'];
+    assert.deepStrictEqual(schema.properties.image.format, 'binary');
+    assert.deepStrictEqual(schema.properties.fontSize, { description: 'Base font size in pixels', type: 'integer', minimum: 1, default: 32 });
+    assert.strictEqual(schema.properties.layers.oneOf[0].items.properties.fontSize.type, 'integer');
+    assert.strictEqual(schema.properties.images.oneOf[0].type, 'array');
+    assert.deepStrictEqual(document.paths['/api/docs'].get.security, []);
+});
+
+test('renders /api/overlay from imageBase64 alone', async () => {
+    const image = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('imageBase64', image.toString('base64'));
+    form.append('text', 'Hello');
+    const response = await fetch(`${baseUrl}/api/overlay`, { method: 'POST', body: form });
+    assert.strictEqual(response.status, 200);
+    const metadata = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+    assert.deepStrictEqual([metadata.width, metadata.height], [200, 100]);
+
+    const empty = new FormData();
+    empty.append('text', 'Hello');
+    const missing = await fetch(`${baseUrl}/api/overlay`, { method: 'POST', body: empty });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual((await missing.json()).error, 'An image file, imageBase64, imageUrl or canvas is required');
+});
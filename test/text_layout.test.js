@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep keys, fonts, templates and assets of this checkout out of the way
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-layout-'));
+process.env.API_KEYS_FILE = path.join(dataDir, 'api-keys.json');
+process.env.FONTS_DIR = path.join(dataDir, 'fonts');
+process.env.TEMPLATES_DIR = path.join(dataDir, 'templates');
+process.env.ASSETS_DIR = path.join(dataDir, 'assets');
+process.env.JOBS_DIR = path.join(dataDir, 'jobs');
+
+const { parseRichText, splitIntoWords, wrapText, breakLongWord, layoutText, renderImage } = require('../server');
+const { getHyphenator } = require('../hyphenation');
+
+const FONT_SIZE = 20;
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Helper function to make a run the way parseRichText does
+function run(text, style = {}) {
+    return { text, bold: false, italic: false, color: null, ...style };
+}
+
+// Helper function to get the plain text of wrapped lines
+function lineTexts(lines) {
+    return lines.map(line => line.map(piece => piece.text).join(''));
+}
+
+// Helper function to find the narrowest whole-pixel width that keeps text on one line
+function singleLineWidth(text) {
+    let low = 0;
+    let high = 4096;
+    while (high - low > 1) {
+        const width = Math.floor((low + high) / 2);
+        if (wrapText(text, width, FONT_SIZE, 'sans-serif').length > 1) low = width;
+        else high = width;
+    }
+    return high;
+}
+
+test('parses bold, italic and color markup into runs', () => {
+    assert.deepStrictEqual(parseRichText('**Sale** now *only* <color=#ff0>$5</color>!'), [
+        run('Sale', { bold: true }),
+        run(' now '),
+        run('only', { italic: true }),
+        run(' '),
+        run('$5', { color: '#ff0' }),
+        run('!')
+    ]);
+    assert.deepStrictEqual(parseRichText('***both***'), [run('both', { bold: true, italic: true })]);
+    // Styles nest across color tags
+    assert.deepStrictEqual(parseRichText('**a<color=red>b*c*</color>**'), [
+        run('a', { bold: true }),
+        run('b', { bold: true, color: 'red' }),
+        run('c', { bold: true, italic: true, color: 'red' })
+    ]);
+});
+
+test('styles the rest of the text after an unclosed marker', () => {
+    assert.deepStrictEqual(parseRichText('a **b'), [run('a '), run('b', { bold: true })]);
+    assert.deepStrictEqual(parseRichText('*a'), [run('a', { italic: true })]);
+    assert.deepStrictEqual(parseRichText('**a *b** c'), [
+        run('a ', { bold: true }),
+        run('b', { bold: true, italic: true }),
+        run(' c', { italic: true })
+    ]);
+    assert.deepStrictEqual(parseRichText('<color=#0f0>green'), [run('green', { color: '#0f0' })]);
+});
+
+test('keeps escaped characters and markup it does not know as text', () => {
+    assert.deepStrictEqual(parseRichText('5 \\* 3 = \\*\\*15\\*\\*'), [run('5 * 3 = **15**')]);
+    assert.deepStrictEqual(parseRichText('back\\\\slash'), [run('back\\slash')]);
+    assert.deepStrictEqual(parseRichText('trailing\\'), [run('trailing\\')]);
+    assert.deepStrictEqual(parseRichText('\\<color=red>x'), [run('<color=red>x')]);
+    // Invalid colors and stray closing tags stay as they are
+    assert.deepStrictEqual(parseRichText('<color=url(x)>y</color>'), [run('<color=url(x)>y</color>')]);
+    assert.deepStrictEqual(parseRichText('</color>z'), [run('</color>z')]);
+});
+
+test('measures every run in its own weight when wrapping', () => {
+    const width = singleLineWidth('MMMM MMMM');
+    assert.deepStrictEqual(lineTexts(wrapText('MMMM MMMM', width, FONT_SIZE, 'sans-serif')), ['MMMM MMMM']);
+
+    // The same words in bold are wider, so they no longer fit
+    const lines = wrapText(parseRichText('**MMMM MMMM**'), width, FONT_SIZE, 'sans-serif');
+    assert.deepStrictEqual(lineTexts(lines), ['MMMM', 'MMMM']);
+    assert.ok(lines.flat().every(piece => piece.bold), 'runs keep their style across lines');
+});
+
+test('breaks CJK text between characters without hyphens', () => {
+    const words = splitIntoWords([run('你好世界。日本語')])[0].map(word => word.pieces.map(piece => piece.text).join(''));
+    // Closing punctuation stays with the character before it
+    assert.deepStrictEqual(words, ['你', '好', '世', '界。', '日', '本', '語']);
+
+    const text = '日本語のテキストを折り返します';
+    const lines = lineTexts(wrapText(text, singleLineWidth('日本語のテ'), FONT_SIZE, 'sans-serif'));
+    assert.ok(lines.length > 1, 'the text wraps');
+    assert.strictEqual(lines.join(''), text);
+});
+
+test('never splits a long word inside a grapheme cluster', () => {
+    const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+    const parts = lineTexts(breakLongWord([run(family.repeat(4))], 1, FONT_SIZE, 'sans-serif', 'normal', 'normal'));
+    assert.deepStrictEqual(parts, [family, family, family, family]);
+
+    // e + combining acute accent; Latin gets a hyphen at each cut
+    const accented = 'e\u0301'.repeat(8);
+    const cut = lineTexts(breakLongWord([run(accented)], singleLineWidth('e\u0301e\u0301e\u0301-'), FONT_SIZE, 'sans-serif', 'normal', 'normal'));
+    assert.ok(cut.length > 1, 'the word is broken');
+    for (const part of cut) {
+        assert.ok(!part.startsWith('\u0301'), `"${part}" starts with a combining mark`);
+    }
+    assert.strictEqual(cut.map(part => part.replace(/-$/, '')).join(''), accented);
+});
+
+test('lays out right-to-left text from the right', () => {
+    const options = { imageWidth: 800, imageHeight: 400, autoResize: false, fontSize: 30, paddingPercent: 10 };
+    const hebrew = layoutText('שלום עולם', { ...options, textAlign: 'start' });
+    assert.strictEqual(hebrew.direction, 'rtl');
+    // start is the right edge of the text area for right-to-left text
+    assert.strictEqual(hebrew.anchor, 'end');
+    const [box] = hebrew.lineBoxes;
+    assert.ok(Math.abs(box.x + box.width - hebrew.x) < 0.01, 'the line ends at the anchor');
+
+    // Left-to-right text starts the same distance in from the left edge
+    const latin = layoutText('Hello world', { ...options, textAlign: 'start' });
+    assert.strictEqual(latin.direction, 'ltr');
+    assert.strictEqual(latin.anchor, 'start');
+    assert.strictEqual(latin.x, 800 - hebrew.x);
+    assert.strictEqual(latin.lineBoxes[0].x, latin.x);
+
+    // An explicit direction overrides the detected one
+    assert.strictEqual(layoutText('Hello', { ...options, direction: 'rtl', textAlign: 'end' }).anchor, 'start');
+});
+
+test('marks right-to-left text in SVG output', async () => {
+    const { buffer } = await renderImage(null, {
+        canvas: { width: 400, height: 200 },
+        text: 'مرحبا بالعالم',
+        textAlign: 'start',
+        outputFormat: 'svg'
+    });
+    // text-anchor is relative to the direction, so the physical end is written as start
+    assert.match(buffer.toString(), /<text [^>]*text-anchor="start" direction="rtl" unicode-bidi="embed"[^>]*>مرحبا بالعالم<\/text>/);
+});
+
+test('balanced wrapping evens out the lines greedy wrapping leaves ragged', () => {
+    const text = 'Fresh bread and pastries baked every morning in town';
+    // A width where greedy filling leaves one word on the last line
+    const width = [...Array(400).keys()].map(step => 100 + step).find(candidate => {
+        const lines = lineTexts(wrapText(text, candidate, FONT_SIZE, 'sans-serif'));
+        return lines.length > 1 && !lines[lines.length - 1].includes(' ');
+    });
+    assert.ok(width, 'greedy wrapping leaves an orphan at some width');
+
+    const greedy = lineTexts(wrapText(text, width, FONT_SIZE, 'sans-serif', 'normal', 'normal', { wrapMode: 'greedy' }));
+    const balanced = lineTexts(wrapText(text, width, FONT_SIZE, 'sans-serif', 'normal', 'normal', { wrapMode: 'balanced' }));
+    assert.strictEqual(balanced.length, greedy.length);
+    assert.strictEqual(balanced.join(' '), text);
+    assert.ok(balanced[balanced.length - 1].includes(' '), `last line "${balanced[balanced.length - 1]}" is an orphan`);
+
+    // Every balanced line fits, and the spread between the longest and shortest is smaller
+    const widths = lines => lines.map(singleLineWidth);
+    const spread = lines => Math.max(...widths(lines)) - Math.min(...widths(lines));
+    assert.ok(widths(balanced).every(lineWidth => lineWidth <= width));
+    assert.ok(spread(balanced) < spread(greedy), `${balanced} is no more even than ${greedy}`);
+});
+
+test('hyphenates long words only at dictionary points', () => {
+    const hyphenator = getHyphenator('en-us');
+    for (const word of ['Automation', 'internationalization', 'responsibilities']) {
+        const points = hyphenator(word);
+        for (const label of ['Automat-', 'internation-', 'responsib-']) {
+            const parts = lineTexts(breakLongWord([run(word)], singleLineWidth(label), FONT_SIZE, 'sans-serif', 'normal', 'normal', hyphenator));
+            let offset = 0;
+            for (const part of parts.slice(0, -1)) {
+                assert.ok(part.endsWith('-'), `"${part}" has no hyphen`);
+                offset += part.length - 1;
+                assert.ok(points.has(offset), `${word} is broken at ${offset}, not at one of ${[...points]}`);
+            }
+            assert.strictEqual(parts.map(part => part.replace(/-$/, '')).join(''), word);
+        }
+    }
+
+    // Without a dictionary the same word is cut wherever the line ends
+    const width = singleLineWidth('Automat-');
+    assert.deepStrictEqual(lineTexts(wrapText('Automation', width, FONT_SIZE, 'sans-serif')), ['Automat-', 'ion']);
+    assert.deepStrictEqual(lineTexts(wrapText('Automation', width, FONT_SIZE, 'sans-serif', 'normal', 'normal', { hyphenator })), ['Automa-', 'tion']);
+});
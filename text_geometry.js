@@ -0,0 +1,289 @@
+const { createHttpError } = require('./errors');
+
+// Custom text paths are SVG path data; keep them to a sane size
+const MAX_PATH_LENGTH = 4000;
+const PATH_TOKEN_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+const COMMAND_ARGUMENTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// Straight segments each curve is approximated with
+const CURVE_STEPS = 16;
+
+// Helper function to apply skewX and then a rotation, both in degrees, around a pivot
+function transformPoint(point, pivot, rotation, skew) {
+    const angle = rotation * Math.PI / 180;
+    const dx = point.x - pivot.x + (point.y - pivot.y) * Math.tan(skew * Math.PI / 180);
+    const dy = point.y - pivot.y;
+    return {
+        x: pivot.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+        y: pivot.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+}
+
+// Axis-aligned bounding box of a box after skewing and rotating it around a pivot
+function transformBox(box, pivot, rotation = 0, skew = 0) {
+    if (!rotation && !skew) {
+        return { ...box };
+    }
+    const corners = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x, y: box.y + box.height },
+        { x: box.x + box.width, y: box.y + box.height }
+    ].map(corner => transformPoint(corner, pivot, rotation, skew));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    return {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+    };
+}
+
+// Width and height a block takes up once it is skewed and rotated around its center
+function transformedExtent(width, height, rotation = 0, skew = 0) {
+    const box = transformBox({ x: 0, y: 0, width, height }, { x: width / 2, y: height / 2 }, rotation, skew);
+    return { width: box.width, height: box.height };
+}
+
+// Widest lines that can still fit an area once rotated: a line at 90 degrees runs
+// along the height instead of the width
+function rotatedWrapWidth(maxWidth, maxHeight, rotation = 0) {
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    return Math.min(cos > 1e-6 ? maxWidth / cos : Infinity, sin > 1e-6 ? maxHeight / sin : Infinity);
+}
+
+// Path data of a full circle that text can be set along, read left to right across its
+// top (clockwise from the bottom) for a positive radius, or across its bottom
+// (counter-clockwise from the top) for a negative one. Either way the middle of the
+// text goes halfway along the path.
+function circlePathData(cx, cy, radius) {
+    const r = Math.abs(radius);
+    return radius > 0
+        ? `M ${cx} ${cy + r} A ${r} ${r} 0 1 1 ${cx} ${cy - r} A ${r} ${r} 0 1 1 ${cx} ${cy + r}`
+        : `M ${cx} ${cy - r} A ${r} ${r} 0 1 0 ${cx} ${cy + r} A ${r} ${r} 0 1 0 ${cx} ${cy - r}`;
+}
+
+// Helper function to approximate an elliptical arc with points, converting the SVG
+// endpoint parameters to a center and angles as in the SVG specification
+function arcPoints(from, rx, ry, xAxisRotation, largeArc, sweep, to) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) {
+        return [to];
+    }
+
+    const phi = xAxisRotation * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (from.x - to.x) / 2;
+    const dy = (from.y - to.y) / 2;
+    const x1 = cosPhi * dx + sinPhi * dy;
+    const y1 = -sinPhi * dx + cosPhi * dy;
+
+    // Radii too small to reach the end point are scaled up
+    const scale = x1 ** 2 / rx ** 2 + y1 ** 2 / ry ** 2;
+    if (scale > 1) {
+        rx *= Math.sqrt(scale);
+        ry *= Math.sqrt(scale);
+    }
+
+    const sign = largeArc === sweep ? -1 : 1;
+    const factor = sign * Math.sqrt(Math.max(0,
+        (rx ** 2 * ry ** 2 - rx ** 2 * y1 ** 2 - ry ** 2 * x1 ** 2) / (rx ** 2 * y1 ** 2 + ry ** 2 * x1 ** 2)));
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cosPhi * cx1 - sinPhi * cy1 + (from.x + to.x) / 2;
+    const cy = sinPhi * cx1 + cosPhi * cy1 + (from.y + to.y) / 2;
+
+    const startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - startAngle;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+
+    const steps = Math.max(CURVE_STEPS, Math.ceil(Math.abs(delta) / (Math.PI / 32)));
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+        const angle = startAngle + delta * i / steps;
+        const x = rx * Math.cos(angle);
+        const y = ry * Math.sin(angle);
+        points.push({ x: cosPhi * x - sinPhi * y + cx, y: sinPhi * x + cosPhi * y + cy });
+    }
+    points[points.length - 1] = to;
+    return points;
+}
+
+// Helper function to approximate a quadratic or cubic Bézier curve with points
+function bezierPoints(controls) {
+    const points = [];
+    for (let i = 1; i <= CURVE_STEPS; i++) {
+        const t = i / CURVE_STEPS;
+        let level = controls;
+        while (level.length > 1) {
+            level = level.slice(1).map((point, index) => ({
+                x: level[index].x + (point.x - level[index].x) * t,
+                y: level[index].y + (point.y - level[index].y) * t
+            }));
+        }
+        points.push(level[0]);
+    }
+    return points;
+}
+
+// Helper function to flatten SVG path data into polylines, one per subpath
+function flattenPath(pathData) {
+    if (typeof pathData !== 'string' || !pathData.trim()) {
+        throw createHttpError(400, 'curvePath must be SVG path data such as "M 100 400 Q 400 100 700 400"');
+    }
+    if (pathData.length > MAX_PATH_LENGTH) {
+        throw createHttpError(400, `curvePath must be at most ${MAX_PATH_LENGTH} characters`);
+    }
+    if (pathData.replace(PATH_TOKEN_PATTERN, '').replace(/[\s,]/g, '')) {
+        throw createHttpError(400, 'curvePath may only contain SVG path commands and numbers');
+    }
+
+    const tokens = pathData.match(PATH_TOKEN_PATTERN);
+    const subpaths = [];
+    let current = { x: 0, y: 0 };
+    let start = current;
+    let previous = null; // last command and control point, for S and T
+    let command = null;
+    let index = 0;
+
+    while (index < tokens.length) {
+        if (/^[a-z]$/i.test(tokens[index])) {
+            command = tokens[index++];
+        } else if (!command || /z/i.test(command)) {
+            throw createHttpError(400, 'curvePath must start with a moveto command and have a command before each set of numbers');
+        }
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const count = COMMAND_ARGUMENTS[type];
+        const args = tokens.slice(index, index + count).map(Number);
+        if (args.length < count || args.some(isNaN)) {
+            throw createHttpError(400, `curvePath: ${command} needs ${count} numbers`);
+        }
+        index += count;
+
+        const point = (x, y) => relative ? { x: current.x + x, y: current.y + y } : { x, y };
+        let points = [];
+        let control = null;
+
+        switch (type) {
+            case 'M':
+                current = point(args[0], args[1]);
+                start = current;
+                subpaths.push([current]);
+                // Further coordinate pairs are implicit linetos
+                command = relative ? 'l' : 'L';
+                previous = null;
+                continue;
+            case 'L':
+                points = [point(args[0], args[1])];
+                break;
+            case 'H':
+                points = [{ x: relative ? current.x + args[0] : args[0], y: current.y }];
+                break;
+            case 'V':
+                points = [{ x: current.x, y: relative ? current.y + args[0] : args[0] }];
+                break;
+            case 'C':
+            case 'S': {
+                const first = type === 'C'
+                    ? point(args[0], args[1])
+                    : previous && 'CS'.includes(previous.type)
+                        ? { x: current.x * 2 - previous.control.x, y: current.y * 2 - previous.control.y }
+                        : current;
+                const rest = type === 'C' ? args.slice(2) : args;
+                control = point(rest[0], rest[1]);
+                points = bezierPoints([current, first, control, point(rest[2], rest[3])]);
+                break;
+            }
+            case 'Q':
+            case 'T':
+                control = type === 'Q'
+                    ? point(args[0], args[1])
+                    : previous && 'QT'.includes(previous.type)
+                        ? { x: current.x * 2 - previous.control.x, y: current.y * 2 - previous.control.y }
+                        : current;
+                points = bezierPoints([current, control, type === 'Q' ? point(args[2], args[3]) : point(args[0], args[1])]);
+                break;
+            case 'A':
+                points = arcPoints(current, args[0], args[1], args[2], Boolean(args[3]), Boolean(args[4]), point(args[5], args[6]));
+                break;
+            default: // Z
+                points = [start];
+        }
+
+        if (!subpaths.length) {
+            throw createHttpError(400, 'curvePath must start with a moveto command');
+        }
+        subpaths[subpaths.length - 1].push(...points);
+        current = points[points.length - 1];
+        previous = control ? { type, control } : null;
+    }
+
+    return subpaths;
+}
+
+// Measure SVG path data: its length, bounding box and the point and direction (in
+// degrees) at any distance along it. Jumps between subpaths don't count as length.
+function measurePath(pathData) {
+    const segments = [];
+    let length = 0;
+    const allPoints = [];
+
+    for (const points of flattenPath(pathData)) {
+        allPoints.push(...points);
+        for (let i = 1; i < points.length; i++) {
+            const segmentLength = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            if (!segmentLength) continue;
+            segments.push({ from: points[i - 1], to: points[i], start: length, length: segmentLength });
+            length += segmentLength;
+        }
+    }
+
+    const xs = allPoints.map(point => point.x);
+    const ys = allPoints.map(point => point.y);
+    const box = {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+    };
+
+    const locate = distance => {
+        const segment = segments.find(candidate => distance <= candidate.start + candidate.length) ||
+            segments[segments.length - 1];
+        const t = Math.min(1, Math.max(0, (distance - segment.start) / segment.length));
+        return {
+            x: segment.from.x + (segment.to.x - segment.from.x) * t,
+            y: segment.from.y + (segment.to.y - segment.from.y) * t
+        };
+    };
+    // The direction is taken over a short stretch so it turns smoothly along flattened curves
+    const pointAt = distance => {
+        if (!segments.length) {
+            return { x: box.x, y: box.y, angle: 0 };
+        }
+        const before = locate(Math.max(0, distance - 1));
+        const after = locate(Math.min(length, distance + 1));
+        return {
+            ...locate(distance),
+            angle: Math.atan2(after.y - before.y, after.x - before.x) * 180 / Math.PI
+        };
+    };
+
+    return { length, box, pointAt };
+}
+
+module.exports = {
+    transformBox,
+    transformedExtent,
+    rotatedWrapWidth,
+    circlePathData,
+    measurePath
+};